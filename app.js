@@ -5,11 +5,28 @@
  * @author Oathan Rex
  */
 
-import { debounce, copyToClipboard, showStatus, announce, retry, timeout } from './utils.js';
-import { calculateStats, StatsDisplay } from './stats.js';
-import { generateCleanHTML, HTMLPreviewController } from './export.js';
-import { ToolbarController, ToolbarAction } from './toolbar.js';
-import { LinkModal } from './modal.js';
+import { debounce, copyToClipboard, showStatus, announce, formatTime, validateURL, createScope } from './utils.js';
+import { calculateStats, calculateDocumentStats, getTextFromJSON, StatsDisplay } from './stats.js';
+import { calculateReadability, createReadabilityExtension, ReadabilityPanel } from './readability.js';
+import { generateCleanHTML, generateCleanHTMLBlocks, generateMarkdown, findUnsupportedNodes, ExportFormat, EXPORT_PROFILES, DEFAULT_EXPORT_PROFILE, HTMLPreviewController } from './export.js';
+import { formatHTML, formatHTMLSegments, resolveFormatOptions, FormatMode, DEFAULT_FORMAT_OPTIONS } from './formatter.js';
+import { RenderedPreviewController } from './rendered.js';
+import { SourceEditorController } from './source.js';
+import { ToolbarController, ToolbarAction, DEFAULT_TOOLBAR } from './toolbar.js';
+import { LinkModal, ImportModal, ImageModal, ShortcutsModal } from './modal.js';
+import { parseHTML, parseMarkdown, looksLikeMarkdown, summarizeImportReport } from './import.js';
+import { DraftStorage, Preferences, resolveStorageKeys } from './storage.js';
+import { DraftsPanel } from './drafts.js';
+import { createImageExtension, countMissingAlt } from './image.js';
+import { createJumpBreakExtension, isJumpBreakMisplaced } from './jumpbreak.js';
+import { createLinkExtension, createLinkAttrs } from './link.js';
+import { LinkBubbleController, LinkBubbleAction } from './linkbubble.js';
+import { PluginRegistry } from './plugins.js';
+import { EmbedBridge } from './bridge.js';
+import { PROTOCOL_VERSION, RequestType, EventType, ErrorCode, protocolError } from './embed-protocol.js';
+import { loadEditorModules, resolveModuleSources, registerModuleCache, cacheLoadedModules, DEFAULT_MODULE_SOURCES } from './loader.js';
+import { renderEditorMarkup, resolveFeatures, EditorFeature } from './template.js';
+import { ShortcutRegistry, shortcutFromEvent, formatShortcut, toAriaKeyShortcuts } from './shortcuts.js';
 
 // Configuration
 const CONFIG = {
@@ -22,79 +39,86 @@ const CONFIG = {
     messages: {
         loading: 'Loading editor...',
         loadError: 'Failed to load editor. Please check your connection and try again.',
+        loadErrorFrom: (names) => 'Failed to load editor from ' + names.join(', ') + '. Please check your connection and try again.',
+        loadedFrom: (name) => 'Editor loaded from ' + name,
         noContent: 'No content to export',
-        copySuccess: 'HTML copied to clipboard',
-        copyError: 'Failed to copy. Please try again.'
+        copySuccess: {
+            [ExportFormat.HTML]: 'HTML copied to clipboard',
+            [ExportFormat.MARKDOWN]: 'Markdown copied to clipboard'
+        },
+        copyLabel: {
+            [ExportFormat.HTML]: 'Copy Clean HTML',
+            [ExportFormat.MARKDOWN]: 'Copy Markdown'
+        },
+        previewTitle: {
+            [ExportFormat.HTML]: 'HTML Preview',
+            [ExportFormat.MARKDOWN]: 'Markdown Preview'
+        },
+        copyError: 'Failed to copy. Please try again.',
+        savedAt: 'Saved at ',
+        restoredAt: 'Restored draft saved at ',
+        saveError: 'Draft could not be saved',
+        draftDiscarded: 'Restored draft discarded',
+        draftOpened: 'Opened draft ',
+        draftCreated: 'New draft created',
+        draftDuplicated: 'Draft duplicated',
+        draftDeleted: 'Draft deleted',
+        importSuccess: 'Content imported',
+        importWithChanges: 'Content imported with changes',
+        markdownPasted: 'Pasted Markdown converted to formatting',
+        missingAlt: (count) => count === 1
+            ? '1 image is missing alt text'
+            : count + ' images are missing alt text',
+        jumpBreakExists: 'This post already has a Read more break',
+        jumpBreakMisplaced: 'Read more break comes before any paragraph',
+        unsupportedNodes: (types, format) => 'No ' + (format === ExportFormat.MARKDOWN ? 'Markdown' : 'HTML') +
+            ' export for ' + types.join(', ') + '; only their text is kept',
+        shortcutsReset: 'Keyboard shortcuts restored to defaults',
+        linkCopied: 'Link URL copied',
+        linkRemoved: 'Link removed',
+        sourceOpened: 'Editing HTML source',
+        sourceApplied: 'HTML changes applied',
+        sourceAppliedWithChanges: 'HTML changes applied; unsupported markup was removed'
     }
 };
 
-// CDN sources with fallback
-const CDN_SOURCES = [
-    {
-        name: 'jsdelivr',
-        core: 'https://cdn.jsdelivr.net/npm/@tiptap/core@2.1.13/+esm',
-        starterKit: 'https://cdn.jsdelivr.net/npm/@tiptap/starter-kit@2.1.13/+esm',
-        link: 'https://cdn.jsdelivr.net/npm/@tiptap/extension-link@2.1.13/+esm',
-        placeholder: 'https://cdn.jsdelivr.net/npm/@tiptap/extension-placeholder@2.1.13/+esm'
-    }
-];
-
-/**
- * Load Tiptap modules from CDN
- */
-async function loadTiptapModules(onStatus) {
-    for (let i = 0; i < CDN_SOURCES.length; i++) {
-        const source = CDN_SOURCES[i];
+// Rich-text clipboard markup worth keeping over a Markdown reading of the plain text
+const SEMANTIC_HTML = /<(?:p|h[1-6]|ul|ol|li|strong|b|em|i|a|blockquote|img|figure)[\s>]/i;
 
-        try {
-            const modules = await retry(
-                async () => {
-                    const loadWithTimeout = (url) => Promise.race([
-                        import(url),
-                        timeout(CONFIG.cdnTimeout, 'Module load timeout')
-                    ]);
-
-                    const [core, starterKit, link, placeholder] = await Promise.all([
-                        loadWithTimeout(source.core),
-                        loadWithTimeout(source.starterKit),
-                        loadWithTimeout(source.link),
-                        loadWithTimeout(source.placeholder)
-                    ]);
-
-                    return {
-                        Editor: core.Editor,
-                        StarterKit: starterKit.StarterKit,
-                        Link: link.Link,
-                        Placeholder: placeholder.Placeholder
-                    };
-                },
-                {
-                    attempts: CONFIG.retryAttempts,
-                    delay: CONFIG.retryDelay,
-                    onRetry: (attempt) => {
-                        if (onStatus) {
-                            onStatus('Retrying... (attempt ' + attempt + ')');
-                        }
-                    }
-                }
-            );
+// Listed in the shortcut help but not remappable
+const FIXED_SHORTCUTS = [
+    { label: 'Undo', shortcut: 'Mod-z' },
+    { label: 'Redo', shortcut: 'Mod-Shift-z' },
+    { label: 'Line break', shortcut: 'Shift-Enter' },
+    { label: 'Move to link actions', shortcut: 'Alt-F10' },
+    { label: 'Show keyboard shortcuts', shortcut: 'Mod-/' }
+];
 
-            if (!modules.Editor || !modules.StarterKit) {
-                throw new Error('Invalid module structure');
-            }
+// Instances mounted without an id get numbered prefixes
+let instanceCount = 0;
+const mountedApps = new Set();
 
-            return modules;
+// localStorage keys in use on this page, each with the app that holds it
+const claimedStorageKeys = new Map();
 
-        } catch (error) {
-            console.warn('Failed to load from ' + source.name + ':', error);
+function nextInstancePrefix() {
+    instanceCount += 1;
+    return 'content-editor-' + instanceCount + '-';
+}
 
-            if (i === CDN_SOURCES.length - 1) {
-                throw new Error(CONFIG.messages.loadError);
-            }
-        }
+/**
+ * Editor content from a host value: HTML strings are parsed, JSON passes through
+ */
+function toDocument(content) {
+    if (typeof content === 'string') {
+        return content.trim() ? parseHTML(content).json : '';
     }
+    return content || '';
+}
 
-    throw new Error(CONFIG.messages.loadError);
+function isEditableTarget(target) {
+    if (!target || typeof target.closest !== 'function') return false;
+    return target.isContentEditable || Boolean(target.closest('input, textarea, select'));
 }
 
 /**
@@ -133,43 +157,141 @@ function createLoadingUI(container) {
  * Main Application Class
  */
 class ContentEditorApp {
-    constructor() {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = options;
+        this.features = resolveFeatures(options.features);
+        this.scope = null;
+        this.listeners = new Map();
+        this.lastChangeContent = null;
         this.editor = null;
         this.editorEl = null;
+        this.plugins = new PluginRegistry();
+        this.bridge = null;
         this.toolbar = null;
         this.statsDisplay = null;
+        this.readabilityPanel = null;
         this.htmlPreview = null;
+        this.renderedPreview = null;
+        this.sourceEditor = null;
+        this.sourceMap = [];
         this.linkModal = null;
+        this.linkBubble = null;
+        this.imageModal = null;
+        this.importModal = null;
+        this.shortcutsModal = null;
+        this.shortcutsBtn = null;
+        this.shortcuts = null;
+        this.editorSection = null;
+        this.importBtn = null;
+        this.importMarkdownBtn = null;
         this.copyBtn = null;
         this.statusEl = null;
+        this.formatSwitch = null;
+        this.previewTitleEl = null;
+        this.exportFormat = ExportFormat.HTML;
+        this.profileSelect = null;
+        this.exportProfile = DEFAULT_EXPORT_PROFILE;
+        this.htmlOptionsEl = null;
+        this.formatOptions = { ...DEFAULT_FORMAT_OPTIONS };
+        this.preferences = null;
+        this.storageKeys = null;
+        this.draftStorage = null;
+        this.draftsPanel = null;
+        this.saveStatusEl = null;
+        this.discardBtn = null;
+        this.contentWarningEl = null;
+        this.lastSavedContent = null;
         this.updateHandler = null;
         this.isInitialized = false;
+        // Settles with the first start; a start retried after a failure emits 'ready' instead
+        this.ready = new Promise((resolve, reject) => {
+            this.resolveReady = resolve;
+            this.rejectReady = reject;
+        });
 
         this.handleEditorUpdate = this.handleEditorUpdate.bind(this);
         this.handleToolbarAction = this.handleToolbarAction.bind(this);
+        this.handleLinkBubbleAction = this.handleLinkBubbleAction.bind(this);
+        this.handleEditorKeyDown = this.handleEditorKeyDown.bind(this);
+        this.handleShortcutKeyDown = this.handleShortcutKeyDown.bind(this);
+        this.handleGlobalKeyDown = this.handleGlobalKeyDown.bind(this);
+        this.openShortcutsModal = this.openShortcutsModal.bind(this);
         this.handleCopyClick = this.handleCopyClick.bind(this);
+        this.handleFormatChange = this.handleFormatChange.bind(this);
+        this.handleProfileChange = this.handleProfileChange.bind(this);
+        this.handleFormatOptionChange = this.handleFormatOptionChange.bind(this);
+        this.handleDiscardClick = this.handleDiscardClick.bind(this);
+        this.handleImportClick = this.handleImportClick.bind(this);
+        this.handleImportMarkdownClick = this.handleImportMarkdownClick.bind(this);
+        this.handlePaste = this.handlePaste.bind(this);
         this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
     }
 
+    /**
+     * Build the markup and controllers, then start the editor
+     */
     async initialize() {
         try {
-            this.editorEl = document.getElementById('editor');
+            this.scope = createScope(this.container, this.options.id ? this.options.id + '-' : nextInstancePrefix());
+            renderEditorMarkup(this.container, this.scope, this.features);
+            this.initBridge();
+
+            this.editorEl = this.scope.byId('editor');
             if (!this.editorEl) {
                 throw new Error('Editor container not found');
             }
 
-            const loadingUI = createLoadingUI(this.editorEl);
+            for (const plugin of this.options.plugins || []) {
+                this.plugins.register(plugin);
+            }
 
             // Initialize controllers
             this.initControllers();
+        } catch (error) {
+            console.error('Initialization failed:', error);
+            this.handleInitError(error);
+            return;
+        }
+
+        mountedApps.add(this);
+        await this.startEditor();
+    }
+
+    /**
+     * Load Tiptap and create the editor; also run again by the retry button
+     */
+    async startEditor() {
+        try {
+            const loadingUI = createLoadingUI(this.editorEl);
 
             // Load Tiptap
-            const modules = await loadTiptapModules((msg) => loadingUI.update(msg));
+            const { modules, source } = await this.loadModules((msg) => loadingUI.update(msg));
+
+            // Destroyed while the modules were loading
+            if (!this.editorEl) return;
 
             loadingUI.remove();
+            this.showModuleSource(source);
+
+            // Content from the host page wins over a restored draft
+            let draft = null;
+            if (this.draftStorage) {
+                this.draftStorage.load();
+                draft = this.draftStorage.getActive();
+            }
+            const hasContent = this.options.content !== undefined && this.options.content !== null;
 
             // Create editor
-            await this.createEditor(modules);
+            await this.createEditor(modules, hasContent ? toDocument(this.options.content) : (draft && draft.content) || '');
+            this.lastSavedContent = JSON.stringify(this.editor.getJSON());
+
+            if (!hasContent && draft && draft.content && !this.editor.isEmpty) {
+                this.setSaveStatus(CONFIG.messages.restoredAt + formatTime(draft.updatedAt));
+                if (this.discardBtn) this.discardBtn.hidden = false;
+            }
+
+            this.renderDrafts();
 
             // Setup events
             this.setupEvents();
@@ -178,33 +300,336 @@ class ContentEditorApp {
             this.handleEditorUpdate();
 
             this.isInitialized = true;
-            announce('Editor ready');
+            this.announce('Editor ready');
+            this.resolveReady();
+            this.emit('ready');
+            if (this.bridge) {
+                this.bridge.notify(EventType.READY, this.getBridgeStatus());
+            }
 
         } catch (error) {
             console.error('Initialization failed:', error);
-            this.handleInitError(error);
+            this.handleInitError(error, true);
         }
     }
 
+    /**
+     * Load Tiptap from the configured sources, in order. Options under
+     * `modules`: sources (see resolveModuleSources), timeout, retryAttempts,
+     * retryDelay, and serviceWorker, the URL of module-sw.js for offline use.
+     */
+    async loadModules(onStatus) {
+        const settings = this.options.modules || {};
+        const sources = resolveModuleSources(settings.sources || DEFAULT_MODULE_SOURCES);
+        if (!sources.length) {
+            throw new Error(CONFIG.messages.loadError);
+        }
+
+        if (settings.serviceWorker) {
+            registerModuleCache(settings.serviceWorker);
+        }
+
+        try {
+            const result = await loadEditorModules(sources, {
+                timeoutMs: settings.timeout || CONFIG.cdnTimeout,
+                attempts: settings.retryAttempts || CONFIG.retryAttempts,
+                delay: settings.retryDelay || CONFIG.retryDelay,
+                onStatus
+            });
+
+            if (settings.serviceWorker) {
+                cacheLoadedModules(result.source);
+            }
+            return result;
+        } catch (error) {
+            throw new Error(error.sources ? CONFIG.messages.loadErrorFrom(error.sources) : CONFIG.messages.loadError);
+        }
+    }
+
+    showModuleSource(source) {
+        const el = this.scope.byId('module-source');
+        if (!el) return;
+
+        el.textContent = CONFIG.messages.loadedFrom(source.name);
+        el.title = Object.values(source.urls).join('\n');
+        el.hidden = false;
+    }
+
+    announce(message) {
+        announce(message, this.scope || undefined);
+    }
+
+    /**
+     * Subscribe to an editor event; returns a function that unsubscribes
+     */
+    on(event, callback) {
+        if (typeof callback !== 'function') return () => {};
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+        const callbacks = this.listeners.get(event);
+        if (callbacks) callbacks.delete(callback);
+    }
+
+    emit(event, data) {
+        const callbacks = this.listeners.get(event);
+        if (!callbacks) return;
+
+        for (const callback of Array.from(callbacks)) {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error('Editor ' + event + ' listener failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Clean HTML of the document in the current export profile
+     */
+    getHTML() {
+        if (!this.editor) return '';
+        return generateCleanHTML(this.editor.getJSON(), this.exportProfile);
+    }
+
+    getJSON() {
+        return this.editor ? this.editor.getJSON() : null;
+    }
+
+    /**
+     * Replace the document with an HTML string or Tiptap JSON; before the
+     * editor starts, the content becomes its initial content
+     */
+    setContent(content) {
+        if (!this.editor) {
+            this.options = { ...this.options, content };
+            return;
+        }
+
+        this.leaveSourceMode(false);
+        this.editor.commands.setContent(toDocument(content), true);
+    }
+
+    /**
+     * Answer postMessage requests from the page framing the editor. Options
+     * under `embed`: allowedOrigins (required), name when a frame holds
+     * several editors, and target, the host window (the parent by default).
+     */
+    initBridge() {
+        const embed = this.options.embed;
+        if (!embed) return;
+
+        const requireEditor = () => {
+            if (!this.editor) throw protocolError(ErrorCode.NOT_READY, 'Editor is not ready');
+        };
+
+        this.bridge = new EmbedBridge();
+        const started = this.bridge.initialize({
+            target: embed.target || window.parent,
+            allowedOrigins: embed.allowedOrigins,
+            name: embed.name,
+            handlers: {
+                [RequestType.HELLO]: () => this.getBridgeStatus(),
+                [RequestType.GET_HTML]: () => {
+                    requireEditor();
+                    return this.getHTML();
+                },
+                [RequestType.GET_JSON]: () => {
+                    requireEditor();
+                    return this.getJSON();
+                },
+                [RequestType.SET_CONTENT]: ({ content }) => {
+                    if (typeof content !== 'string' && (!content || typeof content !== 'object')) {
+                        throw protocolError(ErrorCode.INVALID_PAYLOAD, 'content must be an HTML string or Tiptap JSON');
+                    }
+                    this.setContent(content);
+                },
+                [RequestType.FOCUS]: () => {
+                    requireEditor();
+                    this.editor.commands.focus();
+                }
+            }
+        });
+
+        if (!started) {
+            this.bridge.destroy();
+            this.bridge = null;
+        }
+    }
+
+    getBridgeStatus() {
+        return { version: PROTOCOL_VERSION, ready: this.isInitialized };
+    }
+
+    /**
+     * The host's toolbar config, without the HTML button when source mode is off
+     */
+    getToolbarConfig() {
+        const config = this.options.toolbar || DEFAULT_TOOLBAR;
+        if (this.features[EditorFeature.SOURCE]) return config;
+
+        return config.map(group => ({
+            ...group,
+            items: (group.items || []).filter(item => item.action !== ToolbarAction.SOURCE)
+        }));
+    }
+
+    /**
+     * The localStorage keys of this editor. An id or storageKey names them;
+     * an unnamed editor gets the default keys. Names from mount order would
+     * not survive a reload, so a second unnamed editor on a page fails to
+     * start rather than attach to another editor's drafts.
+     */
+    claimStorageKeys() {
+        const { id, storageKey } = this.options;
+        let keys = resolveStorageKeys(id);
+        if (storageKey) {
+            keys = { drafts: storageKey, preferences: storageKey + ':preferences' };
+        }
+
+        for (const key of Object.values(keys)) {
+            const holder = claimedStorageKeys.get(key);
+            if (holder && holder !== this) {
+                throw new Error('Another editor on this page already stores its data under "' + key +
+                    '"; give each editor its own id (data-editor-id) or storageKey');
+            }
+        }
+        for (const key of Object.values(keys)) {
+            claimedStorageKeys.set(key, this);
+        }
+
+        this.storageKeys = keys;
+        return keys;
+    }
+
+    releaseStorageKeys() {
+        if (!this.storageKeys) return;
+
+        for (const key of Object.values(this.storageKeys)) {
+            if (claimedStorageKeys.get(key) === this) claimedStorageKeys.delete(key);
+        }
+        this.storageKeys = null;
+    }
+
     initControllers() {
+        const storageKeys = this.claimStorageKeys();
+        this.preferences = new Preferences(storageKeys.preferences);
+
         this.statsDisplay = new StatsDisplay();
-        this.statsDisplay.initialize();
+        this.statsDisplay.initialize({
+            scope: this.scope,
+            readingSpeed: this.preferences.get('readingSpeed', null),
+            onOptionsChange: () => this.handleEditorUpdate(),
+            onReadingSpeedChange: (speed) => this.preferences.set('readingSpeed', speed)
+        });
+
+        this.readabilityPanel = new ReadabilityPanel();
+        this.readabilityPanel.initialize({
+            scope: this.scope,
+            highlight: this.preferences.get('readabilityHighlight', true) !== false,
+            onHighlightChange: (enabled) => {
+                this.preferences.set('readabilityHighlight', enabled);
+                if (this.editor) this.editor.commands.setReadabilityHighlight(enabled);
+            }
+        });
 
         this.htmlPreview = new HTMLPreviewController();
-        this.htmlPreview.initialize('html-preview');
+        this.htmlPreview.initialize('html-preview', {
+            scope: this.scope,
+            onBlockSelect: (index) => this.selectBlock(index)
+        });
 
         this.toolbar = new ToolbarController();
-        this.toolbar.initialize({ onAction: this.handleToolbarAction });
+        this.toolbar.initialize({
+            scope: this.scope,
+            config: this.getToolbarConfig(),
+            onAction: this.handleToolbarAction,
+            onLanguageChange: (language) => this.setCodeLanguage(language)
+        });
+
+        this.shortcuts = new ShortcutRegistry();
+        this.shortcuts.load(this.preferences.get('shortcuts', {}));
+        for (const name of this.plugins.names()) {
+            this.addPluginToolbar(name);
+        }
+        this.applyShortcuts();
+        this.editorSection = this.editorEl.closest('.editor-section');
+
+        this.sourceEditor = new SourceEditorController();
+        this.sourceEditor.initialize({ scope: this.scope, editorElement: this.editorEl });
 
         this.linkModal = new LinkModal();
-        this.linkModal.initialize();
+        this.linkModal.initialize(this.scope);
+
+        this.linkBubble = new LinkBubbleController();
+        this.linkBubble.initialize({
+            scope: this.scope,
+            anchorElement: this.editorEl,
+            onAction: this.handleLinkBubbleAction,
+            onDismiss: () => this.editor && this.editor.commands.focus()
+        });
+
+        this.imageModal = new ImageModal();
+        this.imageModal.initialize(this.scope);
+
+        if (this.features[EditorFeature.IMPORT]) {
+            this.importModal = new ImportModal();
+            this.importModal.initialize(this.scope);
+        }
+
+        if (this.features[EditorFeature.SHORTCUTS]) {
+            this.shortcutsModal = new ShortcutsModal();
+            this.shortcutsModal.initialize(this.scope);
+        }
+        this.shortcutsBtn = this.scope.byId('shortcuts-btn');
+        this.importBtn = this.scope.byId('import-html-btn');
+        this.importMarkdownBtn = this.scope.byId('import-markdown-btn');
+
+        this.copyBtn = this.scope.byId('copy-html-btn');
+        this.statusEl = this.scope.byId('export-status');
+        this.formatSwitch = this.scope.byId('export-format');
+        this.previewTitleEl = this.scope.byId('preview-title');
+
+        this.initProfileSelect();
+        this.initFormatOptions();
+
+        const renderedSettings = this.preferences.get('renderedPreview', {}) || {};
+        this.renderedPreview = new RenderedPreviewController();
+        this.renderedPreview.initialize({
+            scope: this.scope,
+            width: renderedSettings.width,
+            themeURL: renderedSettings.themeURL,
+            onShow: () => this.updateRenderedPreview(),
+            onSettingsChange: (settings) => this.preferences.set('renderedPreview', settings)
+        });
 
-        this.copyBtn = document.getElementById('copy-html-btn');
-        this.statusEl = document.getElementById('export-status');
+        if (this.features[EditorFeature.DRAFTS]) {
+            this.draftStorage = new DraftStorage(storageKeys.drafts);
+
+            this.draftsPanel = new DraftsPanel();
+            this.draftsPanel.initialize({
+                scope: this.scope,
+                onSelect: (id) => this.switchDraft(id),
+                onCreate: () => this.createDraft(),
+                onRename: (id, name) => this.renameDraft(id, name),
+                onDuplicate: (id) => this.duplicateDraft(id),
+                onDelete: (id) => this.deleteDraft(id)
+            });
+        }
+
+        this.saveStatusEl = this.scope.byId('save-status');
+        this.discardBtn = this.scope.byId('discard-draft-btn');
+        this.contentWarningEl = this.scope.byId('content-warning');
     }
 
-    async createEditor(modules) {
-        const { Editor, StarterKit, Link, Placeholder } = modules;
+    async createEditor(modules, content = '') {
+        const { Editor, StarterKit, Link, Image, Placeholder } = modules;
 
         this.editor = new Editor({
             element: this.editorEl,
@@ -212,22 +637,22 @@ class ContentEditorApp {
                 StarterKit.configure({
                     heading: { levels: [2, 3] },
                     bulletList: true,
-                    orderedList: false,
-                    codeBlock: false,
+                    orderedList: true,
+                    codeBlock: {
+                        languageClassPrefix: 'language-'
+                    },
                     horizontalRule: false
                 }),
-                Link.configure({
-                    openOnClick: false,
-                    HTMLAttributes: {
-                        rel: 'noopener noreferrer',
-                        target: '_blank'
-                    }
-                }),
+                createLinkExtension(Link),
+                createImageExtension(Image),
+                createJumpBreakExtension(modules),
+                createReadabilityExtension(modules, this.readabilityPanel.isHighlightEnabled()),
                 Placeholder.configure({
-                    placeholder: CONFIG.placeholder
-                })
+                    placeholder: this.options.placeholder || CONFIG.placeholder
+                }),
+                ...this.plugins.getExtensions(modules)
             ],
-            content: '',
+            content,
             autofocus: true,
             editorProps: {
                 attributes: {
@@ -235,12 +660,29 @@ class ContentEditorApp {
                     role: 'textbox',
                     'aria-multiline': 'true',
                     'aria-label': 'Document content'
-                }
+                },
+                handlePaste: this.handlePaste,
+                handleKeyDown: this.handleEditorKeyDown
             },
             onUpdate: () => {
                 if (this.updateHandler) {
                     this.updateHandler();
                 }
+                this.updateLinkBubble();
+            },
+            onSelectionUpdate: () => {
+                // Keeps active states and the code language picker in step with the cursor
+                this.updateToolbarStates();
+                this.syncPreviewSelection();
+                this.updateLinkBubble();
+                this.updateSelectionStats();
+            },
+            onFocus: () => this.updateLinkBubble(),
+            onBlur: ({ event }) => {
+                // Tabbing into the bubble keeps it open
+                if (this.linkBubble && !this.linkBubble.contains(event.relatedTarget)) {
+                    this.linkBubble.hide();
+                }
             }
         });
 
@@ -251,102 +693,834 @@ class ContentEditorApp {
         if (this.copyBtn) {
             this.copyBtn.addEventListener('click', this.handleCopyClick);
         }
+        if (this.formatSwitch) {
+            this.formatSwitch.addEventListener('change', this.handleFormatChange);
+        }
+        if (this.profileSelect) {
+            this.profileSelect.addEventListener('change', this.handleProfileChange);
+        }
+        if (this.htmlOptionsEl) {
+            this.htmlOptionsEl.addEventListener('change', this.handleFormatOptionChange);
+        }
+        if (this.discardBtn) {
+            this.discardBtn.addEventListener('click', this.handleDiscardClick);
+        }
+        if (this.importBtn) {
+            this.importBtn.addEventListener('click', this.handleImportClick);
+        }
+        if (this.importMarkdownBtn) {
+            this.importMarkdownBtn.addEventListener('click', this.handleImportMarkdownClick);
+        }
+        if (this.editorSection) {
+            this.editorSection.addEventListener('keydown', this.handleShortcutKeyDown, true);
+        }
+        if (this.shortcutsBtn) {
+            this.shortcutsBtn.addEventListener('click', this.openShortcutsModal);
+        }
+        document.addEventListener('keydown', this.handleGlobalKeyDown);
         window.addEventListener('beforeunload', this.handleBeforeUnload);
     }
 
     handleEditorUpdate() {
         if (!this.editor) return;
 
-        const text = this.editor.getText();
-        const stats = calculateStats(text);
+        const json = this.editor.getJSON();
+        const statsOptions = this.statsDisplay.getOptions();
+        const stats = calculateDocumentStats(json, statsOptions);
         this.statsDisplay.update(stats);
-
-        const html = generateCleanHTML(this.editor.getJSON());
-        this.htmlPreview.update(html);
+        this.updateSelectionStats();
+        const readability = calculateReadability(json, statsOptions);
+        this.readabilityPanel.update(readability);
+        // Highlighting follows the language the scores were taken in
+        this.editor.commands.setReadabilityLanguage(readability.language);
+        this.updateContentWarning(json);
+
+        const { output, segments } = this.buildExport(json);
+        this.sourceMap = this.buildSourceMap();
+        this.htmlPreview.update(output, segments);
+        this.syncPreviewSelection();
+        this.updateRenderedPreview(json);
 
         this.updateToolbarStates();
+        this.saveDraft(stats);
+
+        const serialized = JSON.stringify(json);
+        if (this.isInitialized && serialized !== this.lastChangeContent) {
+            this.emit('change', { json, stats });
+            if (this.bridge) {
+                this.bridge.notify(EventType.CHANGE, { stats });
+            }
+        }
+        this.lastChangeContent = serialized;
+    }
+
+    /**
+     * Counts of the selected text, by the same rules as the document's
+     */
+    updateSelectionStats() {
+        if (!this.editor || !this.statsDisplay) return;
+
+        const { from, to, empty } = this.editor.state.selection;
+        if (empty) {
+            this.statsDisplay.updateSelection(null);
+            return;
+        }
+
+        const options = this.statsDisplay.getOptions();
+        const text = getTextFromJSON(this.editor.state.doc.cut(from, to).toJSON(), options);
+        this.statsDisplay.updateSelection(calculateStats(text, options));
+    }
+
+    updateContentWarning(json) {
+        if (!this.contentWarningEl) return;
+
+        const warnings = [];
+        const missing = countMissingAlt(json);
+        if (missing) {
+            warnings.push(CONFIG.messages.missingAlt(missing));
+        }
+        if (isJumpBreakMisplaced(json)) {
+            warnings.push(CONFIG.messages.jumpBreakMisplaced);
+        }
+        const unsupported = findUnsupportedNodes(json, this.exportFormat);
+        if (unsupported.length) {
+            warnings.push(CONFIG.messages.unsupportedNodes(unsupported, this.exportFormat));
+        }
+
+        this.contentWarningEl.textContent = warnings.join(' \u00b7 ');
+        this.contentWarningEl.hidden = warnings.length === 0;
+    }
+
+    saveDraft(stats) {
+        if (!this.editor || !this.draftStorage) return;
+
+        const draft = this.draftStorage.getActive();
+        if (!draft) return;
+
+        const json = this.editor.getJSON();
+        const serialized = JSON.stringify(json);
+        if (serialized === this.lastSavedContent) return;
+
+        this.lastSavedContent = serialized;
+
+        const content = this.editor.isEmpty ? null : json;
+        const savedAt = this.draftStorage.save(draft.id, content, stats);
+
+        if (savedAt) {
+            this.setSaveStatus(CONFIG.messages.savedAt + formatTime(savedAt));
+        } else {
+            this.setSaveStatus(CONFIG.messages.saveError, 'error');
+        }
+
+        if (this.draftsPanel) {
+            this.draftsPanel.updateMeta(draft);
+        }
+    }
+
+    renderDrafts() {
+        if (!this.draftsPanel || !this.draftStorage) return;
+
+        const active = this.draftStorage.getActive();
+        this.draftsPanel.render(this.draftStorage.list(), active ? active.id : null);
+    }
+
+    /**
+     * Load a stored draft into the existing editor instance
+     */
+    loadDraft(draft) {
+        if (!this.editor || !draft) return;
+
+        // Unapplied source belongs to the document being replaced
+        this.leaveSourceMode(false);
+
+        if (this.updateHandler && typeof this.updateHandler.cancel === 'function') {
+            this.updateHandler.cancel();
+        }
+
+        // Keep undo history from reaching across drafts
+        this.editor.chain()
+            .command(({ tr }) => {
+                tr.setMeta('addToHistory', false);
+                return true;
+            })
+            .setContent(draft.content || '', false)
+            .focus('start')
+            .run();
+
+        this.lastSavedContent = JSON.stringify(this.editor.getJSON());
+
+        if (this.discardBtn) {
+            this.discardBtn.hidden = true;
+        }
+        this.setSaveStatus(draft.updatedAt ? CONFIG.messages.savedAt + formatTime(draft.updatedAt) : '');
+
+        this.handleEditorUpdate();
+        this.renderDrafts();
+    }
+
+    flushPendingSave() {
+        // Source edits count as pending until they are parsed back
+        this.leaveSourceMode();
+
+        if (this.updateHandler && typeof this.updateHandler.flush === 'function') {
+            this.updateHandler.flush();
+        }
+    }
+
+    switchDraft(id) {
+        if (!this.draftStorage) return;
+
+        const active = this.draftStorage.getActive();
+        if (active && active.id === id) return;
+
+        this.flushPendingSave();
+
+        const draft = this.draftStorage.setActive(id);
+        if (draft) {
+            this.loadDraft(draft);
+            this.announce(CONFIG.messages.draftOpened + draft.name);
+        }
+    }
+
+    createDraft() {
+        if (!this.draftStorage) return;
+
+        this.flushPendingSave();
+        this.loadDraft(this.draftStorage.create());
+        this.announce(CONFIG.messages.draftCreated);
+    }
+
+    renameDraft(id, name) {
+        if (!this.draftStorage) return;
+
+        if (this.draftStorage.rename(id, name)) {
+            this.renderDrafts();
+        }
+    }
+
+    duplicateDraft(id) {
+        if (!this.draftStorage) return;
+
+        this.flushPendingSave();
+        if (this.draftStorage.duplicate(id)) {
+            this.renderDrafts();
+            this.announce(CONFIG.messages.draftDuplicated);
+        }
+    }
+
+    deleteDraft(id) {
+        if (!this.draftStorage) return;
+
+        const active = this.draftStorage.getActive();
+        const next = this.draftStorage.remove(id);
+
+        if (next && (!active || active.id !== next.id)) {
+            this.loadDraft(next);
+        } else {
+            this.renderDrafts();
+        }
+
+        this.announce(CONFIG.messages.draftDeleted);
+    }
+
+    setSaveStatus(message, type = '') {
+        if (!this.saveStatusEl) return;
+        this.saveStatusEl.textContent = message;
+        this.saveStatusEl.classList.toggle('error', type === 'error');
+    }
+
+    handleDiscardClick() {
+        if (!this.editor) return;
+
+        const draft = this.draftStorage ? this.draftStorage.getActive() : null;
+        if (draft) {
+            this.draftStorage.clear(draft.id);
+        }
+
+        this.leaveSourceMode(false);
+
+        this.editor.chain().focus().clearContent(true).run();
+
+        if (this.discardBtn) {
+            this.discardBtn.hidden = true;
+        }
+
+        this.setSaveStatus('');
+        this.announce(CONFIG.messages.draftDiscarded);
     }
 
     updateToolbarStates() {
         if (!this.editor || !this.toolbar) return;
 
-        const states = {
-            [ToolbarAction.BOLD]: this.editor.isActive('bold'),
-            [ToolbarAction.ITALIC]: this.editor.isActive('italic'),
-            [ToolbarAction.CODE]: this.editor.isActive('code'),
-            [ToolbarAction.HEADING2]: this.editor.isActive('heading', { level: 2 }),
-            [ToolbarAction.HEADING3]: this.editor.isActive('heading', { level: 3 }),
-            [ToolbarAction.PARAGRAPH]: this.editor.isActive('paragraph'),
-            [ToolbarAction.BULLET_LIST]: this.editor.isActive('bulletList'),
-            [ToolbarAction.BLOCKQUOTE]: this.editor.isActive('blockquote'),
-            [ToolbarAction.LINK]: this.editor.isActive('link')
-        };
+        this.toolbar.updateStates(this.getCommandContext());
 
-        this.toolbar.updateStates(states);
+        const inCodeBlock = !this.isSourceMode() && this.editor.isActive('codeBlock');
+        const language = inCodeBlock ? this.editor.getAttributes('codeBlock').language : null;
+        this.toolbar.updateCodeLanguage(language, inCodeBlock);
+    }
+
+    setCodeLanguage(language) {
+        if (!this.editor || !this.editor.isActive('codeBlock')) return;
+
+        this.editor.chain().focus().updateAttributes('codeBlock', { language }).run();
+    }
+
+    /**
+     * What toolbar commands and isActive checks receive
+     */
+    getCommandContext() {
+        return { editor: this.editor, app: this };
     }
 
     handleToolbarAction(action) {
         if (!this.editor) return;
 
+        this.toolbar.execute(action, this.getCommandContext());
+        this.updateToolbarStates();
+    }
+
+    /**
+     * Add a toolbar button at runtime. The definition takes the same fields
+     * as the toolbar config, plus an optional default shortcut.
+     */
+    registerToolbarAction(definition, options = {}) {
+        if (!this.toolbar || !this.toolbar.registerAction(definition, options)) return false;
+
+        if (this.shortcuts) {
+            this.shortcuts.register(definition.action, definition.shortcut || null);
+            this.applyShortcuts();
+        }
+        this.updateToolbarStates();
+        return true;
+    }
+
+    /**
+     * Add a plugin at runtime. Its extension is only picked up when the
+     * editor is created, so plugins with one must be registered before that.
+     */
+    registerPlugin(plugin) {
+        if (this.editor && plugin && plugin.extension) {
+            console.error('Plugin ' + plugin.name + ' has an extension and must be registered before the editor starts');
+            return false;
+        }
+        if (!this.plugins.register(plugin)) return false;
+
+        if (this.toolbar) {
+            this.addPluginToolbar(plugin.name);
+        }
+        this.handleEditorUpdate();
+        return true;
+    }
+
+    addPluginToolbar(name) {
+        for (const { definition, options } of this.plugins.getToolbarActions(name)) {
+            this.registerToolbarAction(definition, options);
+        }
+    }
+
+    insertJumpBreak() {
+        if (!this.editor.chain().focus().setJumpBreak().run()) {
+            this.announce(CONFIG.messages.jumpBreakExists);
+        }
+    }
+
+    toggleSourceMode() {
+        if (this.isSourceMode()) {
+            this.leaveSourceMode();
+        } else {
+            this.enterSourceMode();
+        }
+    }
+
+    openLinkModal() {
+        if (!this.linkModal || !this.editor) return;
+
+        // Editing covers the whole link, not just the part under the cursor
+        const editing = this.editor.isActive('link');
+        if (editing) {
+            this.editor.chain().extendMarkRange('link').run();
+        }
+
+        const { from, to } = this.editor.state.selection;
+        const selectedText = this.editor.state.doc.textBetween(from, to, ' ');
+        const initialValues = editing
+            ? { ...this.editor.getAttributes('link'), text: selectedText }
+            : { text: selectedText };
+
+        this.linkModal.open({
+            initialValues,
+            onRemove: () => this.unsetLink(),
+            onConfirm: ({ text, ...values }) => {
+                const attrs = createLinkAttrs(values);
+                const chain = this.editor.chain().focus();
+
+                if (text.trim() && text !== selectedText) {
+                    // New wording replaces the selection, keeping only the link
+                    chain.insertContentAt({ from, to }, { type: 'text', text, marks: [{ type: 'link', attrs }] });
+                } else if (from === to) {
+                    chain.insertContent({ type: 'text', text: values.href, marks: [{ type: 'link', attrs }] });
+                } else {
+                    // Cleared fields must overwrite the previous attributes
+                    chain.setLink({ title: null, target: null, rel: null, sendReferrer: null, ...attrs });
+                }
+
+                chain.run();
+                this.updateToolbarStates();
+            }
+        });
+    }
+
+    unsetLink() {
+        if (!this.editor) return;
+
+        this.editor.chain().focus().extendMarkRange('link').unsetLink().run();
+        this.updateToolbarStates();
+        this.announce(CONFIG.messages.linkRemoved);
+    }
+
+    /**
+     * Show the link bubble while the cursor is in a link and the editor or bubble has focus
+     */
+    updateLinkBubble() {
+        if (!this.linkBubble || !this.editor) return;
+
+        const hasFocus = this.editor.isFocused || this.linkBubble.contains(document.activeElement);
+        if (this.isSourceMode() || !hasFocus || !this.editor.isActive('link')) {
+            this.linkBubble.hide();
+            return;
+        }
+
+        const href = this.editor.getAttributes('link').href || '';
+        const validation = validateURL(href);
+        const { from } = this.editor.state.selection;
+
+        this.linkBubble.show(validation.valid ? validation.url : href, this.editor.view.coordsAtPos(from));
+    }
+
+    async handleLinkBubbleAction(action, href) {
+        if (!this.editor) return;
+
         switch (action) {
-            case ToolbarAction.BOLD:
-                this.editor.chain().focus().toggleBold().run();
-                break;
-            case ToolbarAction.ITALIC:
-                this.editor.chain().focus().toggleItalic().run();
-                break;
-            case ToolbarAction.CODE:
-                this.editor.chain().focus().toggleCode().run();
-                break;
-            case ToolbarAction.HEADING2:
-                this.editor.chain().focus().toggleHeading({ level: 2 }).run();
-                break;
-            case ToolbarAction.HEADING3:
-                this.editor.chain().focus().toggleHeading({ level: 3 }).run();
-                break;
-            case ToolbarAction.PARAGRAPH:
-                this.editor.chain().focus().setParagraph().run();
+            case LinkBubbleAction.EDIT:
+                // The modal hands focus back to the editor when it closes
+                this.editor.commands.focus();
+                this.openLinkModal();
                 break;
-            case ToolbarAction.BULLET_LIST:
-                this.editor.chain().focus().toggleBulletList().run();
+            case LinkBubbleAction.OPEN:
+                window.open(href, '_blank', 'noopener,noreferrer');
                 break;
-            case ToolbarAction.BLOCKQUOTE:
-                this.editor.chain().focus().toggleBlockquote().run();
+            case LinkBubbleAction.COPY: {
+                const success = await copyToClipboard(href);
+                this.announce(success ? CONFIG.messages.linkCopied : CONFIG.messages.copyError);
                 break;
-            case ToolbarAction.LINK:
-                this.openLinkModal();
+            }
+            case LinkBubbleAction.UNLINK:
+                this.unsetLink();
                 break;
         }
+    }
 
-        this.updateToolbarStates();
+    /**
+     * Alt+F10 moves into the link bubble
+     */
+    handleEditorKeyDown(view, event) {
+        if (event.altKey && event.key === 'F10' && this.linkBubble && this.linkBubble.isVisible()) {
+            event.preventDefault();
+            this.linkBubble.focus();
+            return true;
+        }
+
+        return false;
     }
 
-    openLinkModal() {
-        if (!this.linkModal || !this.editor) return;
+    /**
+     * Tooltips and aria-keyshortcuts for every bound toolbar action
+     */
+    applyShortcuts() {
+        if (!this.toolbar || !this.shortcuts) return;
 
-        let initialValue = '';
-        if (this.editor.isActive('link')) {
-            const attrs = this.editor.getAttributes('link');
-            initialValue = attrs.href || '';
+        const hints = {};
+        for (const [action, shortcut] of this.shortcuts.entries()) {
+            if (shortcut) {
+                hints[action] = { label: formatShortcut(shortcut), aria: toAriaKeyShortcuts(shortcut) };
+            }
         }
+        this.toolbar.setShortcuts(hints);
+    }
 
-        this.linkModal.open({
-            initialValue,
-            onConfirm: (url) => {
-                this.editor.chain().focus().setLink({ href: url }).run();
+    saveShortcuts() {
+        this.preferences.set('shortcuts', this.shortcuts.getOverrides());
+        this.applyShortcuts();
+    }
+
+    remapShortcut(action, shortcut) {
+        const result = this.shortcuts.set(action, shortcut);
+        if (result.ok) {
+            this.saveShortcuts();
+        }
+        return result;
+    }
+
+    openShortcutsModal() {
+        if (!this.shortcutsModal || !this.shortcuts || !this.toolbar) return;
+
+        this.shortcutsModal.open({
+            actions: this.toolbar.getActions().map(action => ({ action, label: this.toolbar.getLabel(action) })),
+            fixed: FIXED_SHORTCUTS,
+            getShortcut: (action) => this.shortcuts.get(action),
+            onChange: (action, shortcut) => this.remapShortcut(action, shortcut),
+            onReset: () => {
+                this.shortcuts.reset();
+                this.saveShortcuts();
+                this.announce(CONFIG.messages.shortcutsReset);
+            }
+        });
+    }
+
+    isModalOpen() {
+        return [this.linkModal, this.imageModal, this.importModal, this.shortcutsModal]
+            .some(modal => modal && modal.isOpen);
+    }
+
+    /**
+     * Run registry shortcuts from the editor or HTML source. Listening in the
+     * capture phase lets remapped keys win over the editor's own bindings.
+     */
+    handleShortcutKeyDown(e) {
+        if (!this.editor || !this.shortcuts || !this.toolbar) return;
+
+        const inEditor = this.editorEl.contains(e.target) ||
+            Boolean(this.sourceEditor && this.sourceEditor.contains(e.target));
+        if (!inEditor) return;
+
+        const shortcut = shortcutFromEvent(e);
+        const action = this.shortcuts.findAction(shortcut);
+
+        if (action && this.toolbar.isEnabled(action)) {
+            e.preventDefault();
+            e.stopPropagation();
+            this.handleToolbarAction(action);
+        } else if (this.shortcuts.isUnboundDefault(shortcut) && this.editorEl.contains(e.target)) {
+            // A default the user moved elsewhere should not still reach StarterKit
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    }
+
+    /**
+     * "?" outside text fields, or Ctrl/Cmd+/ anywhere, opens the shortcut list
+     */
+    handleGlobalKeyDown(e) {
+        if (e.defaultPrevented || this.isModalOpen()) return;
+        // Keys outside every editor go to the page's only one, if there is just one
+        if (!this.container.contains(e.target) && !(e.target === document.body && mountedApps.size === 1)) return;
+
+        const isHelpKey = e.key === '?' && !e.ctrlKey && !e.metaKey && !e.altKey && !isEditableTarget(e.target);
+
+        if (isHelpKey || shortcutFromEvent(e) === 'Mod-/') {
+            e.preventDefault();
+            this.openShortcutsModal();
+        }
+    }
+
+    openImageModal() {
+        if (!this.imageModal || !this.editor) return;
+
+        // A selected image is edited in place rather than replaced
+        const editing = this.editor.isActive('image');
+        const initialValues = editing ? this.editor.getAttributes('image') : null;
+
+        this.imageModal.open({
+            initialValues,
+            onConfirm: (attrs) => {
+                const chain = this.editor.chain().focus();
+                if (editing) {
+                    chain.updateAttributes('image', attrs).run();
+                } else {
+                    chain.insertContent({ type: 'image', attrs }).run();
+                }
                 this.updateToolbarStates();
             }
         });
     }
 
+    isSourceMode() {
+        return Boolean(this.sourceEditor && this.sourceEditor.isActive());
+    }
+
+    /**
+     * Swap the editor for its HTML; the default profile keeps theme classes
+     * out of the source so unchanged markup parses back without losses
+     */
+    enterSourceMode() {
+        if (!this.editor || !this.sourceEditor || this.isSourceMode()) return;
+
+        const html = generateCleanHTML(this.editor.getJSON());
+        const source = formatHTML(html, { ...this.formatOptions, mode: FormatMode.PRETTY });
+
+        if (!this.sourceEditor.open(source)) return;
+
+        if (this.toolbar) {
+            this.toolbar.setDisabled(true, [ToolbarAction.SOURCE]);
+        }
+        this.announce(CONFIG.messages.sourceOpened);
+    }
+
+    /**
+     * Parse edited source back into the document as a single undo step
+     */
+    leaveSourceMode(apply = true) {
+        if (!this.isSourceMode()) return;
+
+        const parsed = this.sourceEditor.close();
+
+        if (this.toolbar) {
+            this.toolbar.setDisabled(false);
+        }
+
+        if (apply && parsed) {
+            this.editor.chain().focus().setContent(parsed.json, true).run();
+
+            const lines = summarizeImportReport(parsed.report);
+            this.announce(lines.length ? CONFIG.messages.sourceAppliedWithChanges : CONFIG.messages.sourceApplied);
+        } else if (apply) {
+            this.editor.commands.focus();
+        }
+
+        this.updateToolbarStates();
+    }
+
+    handleImportClick() {
+        if (!this.importModal || !this.editor) return;
+
+        this.leaveSourceMode();
+
+        this.importModal.open({
+            title: 'Import HTML',
+            label: 'Paste the post\'s HTML',
+            placeholder: '<p>Paste HTML here...</p>',
+            onImport: (source) => this.importContent(parseHTML(source))
+        });
+    }
+
+    handleImportMarkdownClick() {
+        if (!this.importModal || !this.editor) return;
+
+        this.leaveSourceMode();
+
+        this.importModal.open({
+            title: 'Import Markdown',
+            label: 'Paste Markdown text',
+            placeholder: '## Heading\n\nSome **bold** text...',
+            onImport: (source) => this.importContent(parseMarkdown(source))
+        });
+    }
+
+    /**
+     * Replace the document with parsed import output, returning report lines
+     */
+    importContent({ json, report }) {
+        if (!this.editor) return [];
+
+        this.editor.chain().focus().setContent(json, true).run();
+
+        const lines = summarizeImportReport(report);
+        this.announce(lines.length ? CONFIG.messages.importWithChanges : CONFIG.messages.importSuccess);
+        return lines;
+    }
+
+    /**
+     * Serialize the document in the selected export format
+     */
+    getExportOutput() {
+        return this.buildExport(this.editor.getJSON()).output;
+    }
+
+    /**
+     * HTML is formatted block by block so the preview can map output to the document
+     */
+    buildExport(json) {
+        if (this.exportFormat === ExportFormat.MARKDOWN) {
+            return { output: generateMarkdown(json), segments: null };
+        }
+
+        const { blocks, newline } = generateCleanHTMLBlocks(json, this.exportProfile);
+        const segments = formatHTMLSegments(blocks, { ...this.formatOptions, newline });
+
+        return { output: segments.map(segment => segment.text).join(''), segments };
+    }
+
+    /**
+     * Rendered output ignores the Markdown switch; it always shows the post as HTML
+     */
+    updateRenderedPreview(json = null) {
+        if (!this.editor || !this.renderedPreview || !this.renderedPreview.isVisible()) return;
+
+        this.renderedPreview.update(generateCleanHTML(json || this.editor.getJSON(), this.exportProfile));
+    }
+
+    /**
+     * Document range of each top-level block, by index
+     */
+    buildSourceMap() {
+        const map = [];
+        this.editor.state.doc.forEach((node, offset, index) => {
+            map.push({ block: index, from: offset, to: offset + node.nodeSize });
+        });
+        return map;
+    }
+
+    syncPreviewSelection() {
+        if (!this.editor || !this.htmlPreview) return;
+
+        const { from } = this.editor.state.selection;
+        const entry = this.sourceMap.find(range => from >= range.from && from < range.to);
+        this.htmlPreview.highlightBlock(entry ? entry.block : null);
+    }
+
+    /**
+     * Select a top-level block from its preview output
+     */
+    selectBlock(index) {
+        if (!this.editor || this.isSourceMode()) return;
+
+        const entry = this.sourceMap.find(range => range.block === index);
+        const doc = this.editor.state.doc;
+        if (!entry || entry.to > doc.content.size) return;
+
+        const node = doc.nodeAt(entry.from);
+        if (!node) return;
+
+        const chain = this.editor.chain().focus();
+        if (node.isTextblock) {
+            chain.setTextSelection({ from: entry.from + 1, to: entry.to - 1 });
+        } else {
+            chain.setNodeSelection(entry.from);
+        }
+        chain.scrollIntoView().run();
+    }
+
+    /**
+     * Fill the profile picker and restore the last choice
+     */
+    initProfileSelect() {
+        const saved = this.preferences.get('exportProfile', DEFAULT_EXPORT_PROFILE);
+        this.exportProfile = EXPORT_PROFILES[saved] ? saved : DEFAULT_EXPORT_PROFILE;
+
+        this.profileSelect = this.scope.byId('export-profile');
+        if (!this.profileSelect) return;
+
+        this.profileSelect.innerHTML = '';
+        for (const [id, profile] of Object.entries(EXPORT_PROFILES)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = profile.name;
+            this.profileSelect.appendChild(option);
+        }
+        this.profileSelect.value = this.exportProfile;
+    }
+
+    /**
+     * Restore layout, indent and wrap settings into their controls
+     */
+    initFormatOptions() {
+        this.formatOptions = resolveFormatOptions(this.preferences.get('htmlFormat', DEFAULT_FORMAT_OPTIONS));
+
+        this.htmlOptionsEl = this.scope.byId('html-options');
+        if (!this.htmlOptionsEl) return;
+
+        for (const select of this.htmlOptionsEl.querySelectorAll('[data-format-option]')) {
+            select.value = String(this.formatOptions[select.getAttribute('data-format-option')]);
+        }
+        this.updateFormatControls();
+    }
+
+    handleFormatOptionChange(e) {
+        const name = e.target && e.target.getAttribute('data-format-option');
+        if (!name) return;
+
+        this.formatOptions = resolveFormatOptions({ ...this.formatOptions, [name]: e.target.value });
+        this.preferences.set('htmlFormat', this.formatOptions);
+
+        this.updateFormatControls();
+        this.handleEditorUpdate();
+    }
+
+    updateFormatControls() {
+        if (!this.htmlOptionsEl) return;
+
+        const isHTML = this.exportFormat === ExportFormat.HTML;
+        const isPretty = this.formatOptions.mode === FormatMode.PRETTY;
+
+        for (const select of this.htmlOptionsEl.querySelectorAll('select')) {
+            const option = select.getAttribute('data-format-option');
+            // Indent and wrapping only apply to pretty output
+            select.disabled = !isHTML || (!isPretty && (option === 'indent' || option === 'maxLineWidth'));
+        }
+    }
+
+    handleProfileChange(e) {
+        const profile = e.target && e.target.value;
+        if (!EXPORT_PROFILES[profile]) return;
+
+        this.exportProfile = profile;
+        this.preferences.set('exportProfile', profile);
+
+        this.handleEditorUpdate();
+    }
+
+    handleFormatChange(e) {
+        const format = e.target && e.target.value;
+        if (!Object.values(ExportFormat).includes(format)) return;
+
+        this.exportFormat = format;
+
+        if (this.copyBtn) {
+            this.copyBtn.textContent = CONFIG.messages.copyLabel[format];
+        }
+        if (this.previewTitleEl) {
+            this.previewTitleEl.textContent = CONFIG.messages.previewTitle[format];
+        }
+        if (this.htmlPreview) {
+            this.htmlPreview.setFormat(format);
+        }
+        // Profiles and layout settings only shape HTML output
+        this.updateFormatControls();
+
+        this.handleEditorUpdate();
+    }
+
+    /**
+     * Convert plain-text Markdown pastes into formatted content
+     */
+    handlePaste(view, event) {
+        if (!this.editor || !event.clipboardData) return false;
+
+        const text = event.clipboardData.getData('text/plain');
+        const html = event.clipboardData.getData('text/html');
+
+        // Code stays literal: "# comment" is not a heading there
+        if (this.editor.isActive('codeBlock')) return false;
+        if (html && SEMANTIC_HTML.test(html)) return false;
+        if (!looksLikeMarkdown(text)) return false;
+
+        const { json } = parseMarkdown(text);
+        this.editor.chain().focus().insertContent(json.content).run();
+        this.announce(CONFIG.messages.markdownPasted);
+        return true;
+    }
+
     async handleCopyClick() {
         if (!this.editor) return;
 
-        const html = generateCleanHTML(this.editor.getJSON());
+        // Copy what the source view shows, cleaned up like any other edit
+        this.leaveSourceMode();
+
+        const output = this.getExportOutput();
 
-        if (!html.trim()) {
+        if (!output.trim()) {
             showStatus(this.statusEl, CONFIG.messages.noContent, 'error', CONFIG.statusDuration);
-            announce(CONFIG.messages.noContent);
+            this.announce(CONFIG.messages.noContent);
             return;
         }
 
@@ -355,14 +1529,15 @@ class ContentEditorApp {
         }
 
         try {
-            const success = await copyToClipboard(html);
+            const success = await copyToClipboard(output);
+            const message = CONFIG.messages.copySuccess[this.exportFormat];
 
             if (success) {
-                showStatus(this.statusEl, CONFIG.messages.copySuccess, 'success', CONFIG.statusDuration);
-                announce(CONFIG.messages.copySuccess);
+                showStatus(this.statusEl, message, 'success', CONFIG.statusDuration);
+                this.announce(message);
             } else {
                 showStatus(this.statusEl, CONFIG.messages.copyError, 'error', CONFIG.statusDuration);
-                announce(CONFIG.messages.copyError);
+                this.announce(CONFIG.messages.copyError);
             }
         } catch (err) {
             console.error('Copy failed:', err);
@@ -375,17 +1550,24 @@ class ContentEditorApp {
     }
 
     handleBeforeUnload() {
-        if (this.updateHandler && typeof this.updateHandler.flush === 'function') {
-            this.updateHandler.flush();
-        }
+        this.flushPendingSave();
     }
 
-    handleInitError(error) {
+    /**
+     * Show a failed start. Only starting the editor can be retried: a setup
+     * error leaves no controllers to start it with.
+     */
+    handleInitError(error, canRetry = false) {
+        this.rejectReady(error);
+        this.emit('error', { message: error.message || CONFIG.messages.loadError });
+        if (this.bridge) {
+            this.bridge.notify(EventType.ERROR, { message: error.message || CONFIG.messages.loadError });
+        }
         if (this.editorEl) {
             const loadingUI = createLoadingUI(this.editorEl);
             loadingUI.showError(
                 error.message || CONFIG.messages.loadError,
-                () => this.initialize()
+                canRetry ? () => this.startEditor() : null
             );
         }
     }
@@ -396,11 +1578,44 @@ class ContentEditorApp {
         }
 
         window.removeEventListener('beforeunload', this.handleBeforeUnload);
+        document.removeEventListener('keydown', this.handleGlobalKeyDown);
+
+        if (this.editorSection) {
+            this.editorSection.removeEventListener('keydown', this.handleShortcutKeyDown, true);
+        }
+
+        if (this.shortcutsBtn) {
+            this.shortcutsBtn.removeEventListener('click', this.openShortcutsModal);
+        }
 
         if (this.copyBtn) {
             this.copyBtn.removeEventListener('click', this.handleCopyClick);
         }
 
+        if (this.formatSwitch) {
+            this.formatSwitch.removeEventListener('change', this.handleFormatChange);
+        }
+
+        if (this.profileSelect) {
+            this.profileSelect.removeEventListener('change', this.handleProfileChange);
+        }
+
+        if (this.htmlOptionsEl) {
+            this.htmlOptionsEl.removeEventListener('change', this.handleFormatOptionChange);
+        }
+
+        if (this.discardBtn) {
+            this.discardBtn.removeEventListener('click', this.handleDiscardClick);
+        }
+
+        if (this.importBtn) {
+            this.importBtn.removeEventListener('click', this.handleImportClick);
+        }
+
+        if (this.importMarkdownBtn) {
+            this.importMarkdownBtn.removeEventListener('click', this.handleImportMarkdownClick);
+        }
+
         if (this.editor) {
             this.editor.destroy();
             this.editor = null;
@@ -416,29 +1631,131 @@ class ContentEditorApp {
             this.statsDisplay = null;
         }
 
+        if (this.readabilityPanel) {
+            this.readabilityPanel.destroy();
+            this.readabilityPanel = null;
+        }
+
         if (this.htmlPreview) {
             this.htmlPreview.destroy();
             this.htmlPreview = null;
         }
 
+        if (this.renderedPreview) {
+            this.renderedPreview.destroy();
+            this.renderedPreview = null;
+        }
+
+        if (this.sourceEditor) {
+            this.sourceEditor.destroy();
+            this.sourceEditor = null;
+        }
+
         if (this.linkModal) {
             this.linkModal.destroy();
             this.linkModal = null;
         }
 
+        if (this.linkBubble) {
+            this.linkBubble.destroy();
+            this.linkBubble = null;
+        }
+
+        if (this.imageModal) {
+            this.imageModal.destroy();
+            this.imageModal = null;
+        }
+
+        if (this.importModal) {
+            this.importModal.destroy();
+            this.importModal = null;
+        }
+
+        if (this.shortcutsModal) {
+            this.shortcutsModal.destroy();
+            this.shortcutsModal = null;
+        }
+
+        if (this.draftsPanel) {
+            this.draftsPanel.destroy();
+            this.draftsPanel = null;
+        }
+
+        if (this.bridge) {
+            this.bridge.destroy();
+            this.bridge = null;
+        }
+
+        this.plugins.destroy();
+        this.listeners.clear();
+        mountedApps.delete(this);
+        this.releaseStorageKeys();
         this.isInitialized = false;
+        this.editorEl = null;
+
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
     }
 }
 
-// Initialize
-const app = new ContentEditorApp();
+/**
+ * Mount an editor with its own toolbar, stats, preview and modals inside a container
+ *
+ * Options: id (prefix for element IDs), content (HTML or Tiptap JSON),
+ * placeholder, features ({ drafts, stats, import, export, preview, source,
+ * shortcuts }, all on unless set to false), storageKey (see claimStorageKeys),
+ * toolbar, plugins, modules (where Tiptap is loaded from, see loadModules),
+ * embed (see initBridge).
+ *
+ * The handle's ready promise settles with the first start: it resolves with
+ * the handle once the editor runs, or rejects with the error if Tiptap fails
+ * to load or the editor cannot start. The 'ready' and 'error' events follow
+ * every start, including ones retried from the error screen.
+ */
+export function createEditor(container, options = {}) {
+    if (!container || typeof container.appendChild !== 'function') {
+        throw new Error('createEditor needs a container element');
+    }
+
+    const app = new ContentEditorApp(container, options);
+
+    const ready = app.ready.then(() => handle);
+    // The failure is already logged and shown; hosts that never await ready should not see it again
+    ready.catch(() => {});
+
+    const handle = {
+        ready,
+        getHTML: () => app.getHTML(),
+        getJSON: () => app.getJSON(),
+        setContent: (content) => app.setContent(content),
+        on: (event, callback) => app.on(event, callback),
+        registerToolbarAction: (definition, placement) => app.registerToolbarAction(definition, placement),
+        registerPlugin: (plugin) => app.registerPlugin(plugin),
+        destroy: () => app.destroy()
+    };
 
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => app.initialize());
-} else {
     app.initialize();
+    return Object.freeze(handle);
 }
 
-window.addEventListener('unload', () => app.destroy());
+/**
+ * Opt-in startup: mount an editor into every [data-content-editor] element,
+ * each with the given createEditor options
+ */
+export function autoMount(selector = '[data-content-editor]', options = {}) {
+    const mount = () => {
+        const handles = Array.from(document.querySelectorAll(selector), (container) =>
+            createEditor(container, { ...options, id: container.getAttribute('data-editor-id') || undefined })
+        );
+        window.addEventListener('unload', () => handles.forEach(handle => handle.destroy()));
+        return handles;
+    };
 
-export { app };
+    if (document.readyState === 'loading') {
+        return new Promise(resolve => {
+            document.addEventListener('DOMContentLoaded', () => resolve(mount()));
+        });
+    }
+    return Promise.resolve(mount());
+}
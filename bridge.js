@@ -0,0 +1,119 @@
+/* bridge.js */
+
+/**
+ * Embed Bridge Module
+ * @author Oathan Rex
+ */
+
+import {
+    PROTOCOL_VERSION,
+    EventType,
+    ErrorCode,
+    createMessage,
+    isProtocolMessage,
+    normalizeOrigins
+} from './embed-protocol.js';
+
+/**
+ * Embed Bridge
+ *
+ * Lets the page that frames the editor drive it over postMessage. Only
+ * messages from the target window and an allowed origin are answered;
+ * requests run through the handlers given by the app, keyed by request type.
+ */
+export class EmbedBridge {
+    constructor() {
+        this.target = null;
+        this.origins = [];
+        this.name = null;
+        this.handlers = {};
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    initialize(options = {}) {
+        this.target = options.target || null;
+        this.origins = normalizeOrigins(options.allowedOrigins || []);
+        this.name = options.name || null;
+        this.handlers = options.handlers || {};
+
+        if (!this.target || this.target === window) return false;
+        if (!this.origins.length) {
+            console.error('Embed bridge needs at least one allowed origin');
+            return false;
+        }
+
+        window.addEventListener('message', this.handleMessage);
+        return true;
+    }
+
+    isActive() {
+        return this.origins.length > 0 && this.target !== null && this.target !== window;
+    }
+
+    /**
+     * Send an event to the host. The browser drops it for every allowed
+     * origin the host does not have, so it only reaches a permitted page.
+     */
+    notify(type, payload = {}) {
+        if (!this.isActive()) return;
+
+        const message = createMessage(type, { editor: this.name || undefined, payload });
+        for (const origin of this.origins) {
+            this.post(message, origin);
+        }
+    }
+
+    post(message, origin) {
+        try {
+            this.target.postMessage(message, origin);
+        } catch (error) {
+            console.warn('Embed message could not be sent:', error);
+        }
+    }
+
+    async handleMessage(event) {
+        if (event.source !== this.target || !this.origins.includes(event.origin)) return;
+
+        const data = event.data;
+        if (!isProtocolMessage(data) || data.type === EventType.RESPONSE) return;
+        if ((data.editor || null) !== this.name) return;
+
+        const respond = (payload) => {
+            if (data.id === undefined) return;
+            this.post(createMessage(EventType.RESPONSE, { id: data.id, editor: this.name || undefined, payload }), event.origin);
+        };
+
+        if (data.version !== PROTOCOL_VERSION) {
+            respond(failure(ErrorCode.UNSUPPORTED_VERSION, 'Supported protocol version is ' + PROTOCOL_VERSION));
+            return;
+        }
+
+        // Own keys only, so "constructor" or "toString" are unknown types too
+        const handler = Object.prototype.hasOwnProperty.call(this.handlers, data.type) ? this.handlers[data.type] : null;
+        if (typeof handler !== 'function') {
+            respond(failure(ErrorCode.UNKNOWN_TYPE, 'Unknown message type: ' + data.type));
+            return;
+        }
+
+        try {
+            const result = await handler(data.payload || {});
+            respond({ ok: true, result: result === undefined ? null : result });
+        } catch (error) {
+            respond(failure(error.code || ErrorCode.FAILED, error.message));
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('message', this.handleMessage);
+
+        this.target = null;
+        this.origins = [];
+        this.name = null;
+        this.handlers = {};
+    }
+}
+
+function failure(code, message) {
+    return { ok: false, error: { code, message: message || code } };
+}
@@ -0,0 +1,265 @@
+/* drafts.js */
+
+/**
+ * Drafts Panel Module
+ * @author Oathan Rex
+ */
+
+import { formatNumber, formatTime, documentScope } from './utils.js';
+
+/**
+ * Drafts Panel Controller
+ */
+export class DraftsPanel {
+    constructor() {
+        this.listEl = null;
+        this.newBtn = null;
+        this.callbacks = {};
+        this.renamingId = null;
+        this.pending = null;
+
+        this.handleListClick = this.handleListClick.bind(this);
+        this.handleListKeyDown = this.handleListKeyDown.bind(this);
+        this.handleNewClick = this.handleNewClick.bind(this);
+    }
+
+    initialize(options = {}) {
+        const scope = options.scope || documentScope;
+        this.listEl = scope.byId('draft-list');
+        this.newBtn = scope.byId('new-draft-btn');
+
+        if (!this.listEl) return false;
+
+        this.callbacks = {
+            onSelect: options.onSelect || null,
+            onCreate: options.onCreate || null,
+            onRename: options.onRename || null,
+            onDuplicate: options.onDuplicate || null,
+            onDelete: options.onDelete || null
+        };
+
+        this.listEl.addEventListener('click', this.handleListClick);
+        this.listEl.addEventListener('keydown', this.handleListKeyDown);
+        if (this.newBtn) {
+            this.newBtn.addEventListener('click', this.handleNewClick);
+        }
+
+        return true;
+    }
+
+    render(drafts, activeId) {
+        if (!this.listEl) return;
+
+        // Defer while a name is being edited so the input is not destroyed
+        if (this.renamingId) {
+            this.pending = { drafts, activeId };
+            return;
+        }
+
+        this.pending = null;
+        this.listEl.innerHTML = '';
+
+        for (const draft of drafts) {
+            this.listEl.appendChild(this.createItem(draft, draft.id === activeId));
+        }
+    }
+
+    createItem(draft, isActive) {
+        const li = document.createElement('li');
+        li.className = 'draft-item' + (isActive ? ' is-active' : '');
+        li.setAttribute('data-id', draft.id);
+
+        const selectBtn = document.createElement('button');
+        selectBtn.type = 'button';
+        selectBtn.className = 'draft-select';
+        selectBtn.setAttribute('data-draft-action', 'select');
+        if (isActive) {
+            selectBtn.setAttribute('aria-current', 'true');
+        }
+
+        const name = document.createElement('span');
+        name.className = 'draft-name';
+        name.textContent = draft.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'draft-meta';
+        meta.textContent = formatDraftMeta(draft);
+
+        selectBtn.appendChild(name);
+        selectBtn.appendChild(meta);
+        li.appendChild(selectBtn);
+
+        const actions = document.createElement('div');
+        actions.className = 'draft-actions';
+        actions.appendChild(createActionButton('rename', 'Rename', 'Rename ' + draft.name));
+        actions.appendChild(createActionButton('duplicate', 'Copy', 'Duplicate ' + draft.name));
+        actions.appendChild(createActionButton('delete', 'Delete', 'Delete ' + draft.name));
+        li.appendChild(actions);
+
+        return li;
+    }
+
+    /**
+     * Refresh the timestamp and word count of a single draft
+     */
+    updateMeta(draft) {
+        if (!this.listEl || !draft) return;
+
+        const item = this.findItem(draft.id);
+        const meta = item ? item.querySelector('.draft-meta') : null;
+        if (meta) {
+            meta.textContent = formatDraftMeta(draft);
+        }
+    }
+
+    findItem(id) {
+        const items = this.listEl.querySelectorAll('.draft-item');
+        for (const item of items) {
+            if (item.getAttribute('data-id') === id) return item;
+        }
+        return null;
+    }
+
+    startRename(id) {
+        const item = this.findItem(id);
+        const nameEl = item ? item.querySelector('.draft-name') : null;
+        if (!nameEl || this.renamingId) return;
+
+        this.renamingId = id;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'draft-rename-input';
+        input.value = nameEl.textContent;
+        input.setAttribute('aria-label', 'Draft name');
+
+        const selectBtn = item.querySelector('.draft-select');
+        selectBtn.hidden = true;
+        item.insertBefore(input, selectBtn);
+
+        const finish = (commit) => {
+            if (this.renamingId !== id) return;
+            this.renamingId = null;
+
+            const value = input.value.trim();
+            input.remove();
+            selectBtn.hidden = false;
+
+            if (commit && value && value !== nameEl.textContent) {
+                nameEl.textContent = value;
+                if (typeof this.callbacks.onRename === 'function') {
+                    this.callbacks.onRename(id, value);
+                }
+            }
+
+            if (this.pending) {
+                this.render(this.pending.drafts, this.pending.activeId);
+            }
+
+            const restored = this.findItem(id);
+            const focusTarget = restored ? restored.querySelector('.draft-select') : null;
+            if (focusTarget) focusTarget.focus();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        input.focus();
+        input.select();
+    }
+
+    handleListClick(e) {
+        const btn = e.target.closest('[data-draft-action]');
+        if (!btn) return;
+
+        const item = btn.closest('.draft-item');
+        const id = item ? item.getAttribute('data-id') : null;
+        if (!id) return;
+
+        switch (btn.getAttribute('data-draft-action')) {
+            case 'select':
+                this.invoke('onSelect', id);
+                break;
+            case 'rename':
+                this.startRename(id);
+                break;
+            case 'duplicate':
+                this.invoke('onDuplicate', id);
+                break;
+            case 'delete': {
+                const name = item.querySelector('.draft-name');
+                const label = name ? name.textContent : 'this draft';
+                if (window.confirm('Delete "' + label + '"? This cannot be undone.')) {
+                    this.invoke('onDelete', id);
+                }
+                break;
+            }
+        }
+    }
+
+    handleListKeyDown(e) {
+        if (e.key !== 'F2') return;
+
+        const item = e.target.closest('.draft-item');
+        if (item) {
+            e.preventDefault();
+            this.startRename(item.getAttribute('data-id'));
+        }
+    }
+
+    handleNewClick() {
+        if (typeof this.callbacks.onCreate === 'function') {
+            this.callbacks.onCreate();
+        }
+    }
+
+    invoke(name, id) {
+        if (typeof this.callbacks[name] === 'function') {
+            this.callbacks[name](id);
+        }
+    }
+
+    destroy() {
+        if (this.listEl) {
+            this.listEl.removeEventListener('click', this.handleListClick);
+            this.listEl.removeEventListener('keydown', this.handleListKeyDown);
+        }
+        if (this.newBtn) {
+            this.newBtn.removeEventListener('click', this.handleNewClick);
+        }
+
+        this.listEl = null;
+        this.newBtn = null;
+        this.callbacks = {};
+        this.renamingId = null;
+        this.pending = null;
+    }
+}
+
+function createActionButton(action, text, label) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'draft-action-btn';
+    btn.setAttribute('data-draft-action', action);
+    btn.setAttribute('aria-label', label);
+    btn.textContent = text;
+    return btn;
+}
+
+function formatDraftMeta(draft) {
+    const parts = [];
+    if (draft.updatedAt) {
+        parts.push(formatTime(draft.updatedAt));
+    }
+    const words = draft.stats ? draft.stats.words : 0;
+    parts.push(formatNumber(words) + (words === 1 ? ' word' : ' words'));
+    return parts.join(' \u00b7 ');
+}
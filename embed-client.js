@@ -0,0 +1,215 @@
+/* embed-client.js */
+
+/**
+ * Embed Client Module
+ * @author Oathan Rex
+ *
+ * For host pages that frame the editor. Needs only embed-protocol.js.
+ *
+ *   const client = new EditorClient(iframe, { origin: 'https://editor.example.com' });
+ *   await client.connect();
+ *   client.on('change', ({ stats }) => ...);
+ *   const html = await client.getHTML();
+ */
+
+import {
+    PROTOCOL_VERSION,
+    RequestType,
+    EventType,
+    ErrorCode,
+    createMessage,
+    isProtocolMessage,
+    protocolError,
+    normalizeOrigins
+} from './embed-protocol.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+export class EditorClient {
+    constructor(frame, options = {}) {
+        const [origin] = normalizeOrigins(options.origin);
+        if (!frame || !origin) {
+            throw new Error('EditorClient needs an iframe and the editor page origin');
+        }
+
+        this.frame = frame;
+        this.origin = origin;
+        this.name = options.editor || null;
+        this.timeoutMs = options.timeout || DEFAULT_TIMEOUT_MS;
+        this.pending = new Map();
+        this.listeners = new Map();
+        this.requestCount = 0;
+        this.isReady = false;
+        this.connecting = null;
+        this.finishConnect = null;
+
+        this.handleMessage = this.handleMessage.bind(this);
+        this.handleFrameLoad = this.handleFrameLoad.bind(this);
+
+        window.addEventListener('message', this.handleMessage);
+    }
+
+    /**
+     * Resolves once the editor is ready, whether it was already or becomes so
+     */
+    connect() {
+        if (this.connecting) return this.connecting;
+        if (this.isReady) {
+            this.connecting = Promise.resolve(this);
+            return this.connecting;
+        }
+
+        this.connecting = new Promise((resolve, reject) => {
+            const stopReady = this.on(EventType.READY, () => done(null));
+            const stopError = this.on(EventType.ERROR, (payload) => done(payload));
+
+            const done = (error) => {
+                this.finishConnect = null;
+                stopReady();
+                stopError();
+                this.frame.removeEventListener('load', this.handleFrameLoad);
+                if (error) {
+                    this.connecting = null;
+                    reject(protocolError(ErrorCode.FAILED, error.message));
+                } else {
+                    resolve(this);
+                }
+            };
+
+            // A reload of the frame, or a first load still underway, says hello again
+            this.finishConnect = done;
+            this.frame.addEventListener('load', this.handleFrameLoad);
+            this.handleFrameLoad();
+        });
+
+        return this.connecting;
+    }
+
+    handleFrameLoad() {
+        this.request(RequestType.HELLO).then((result) => {
+            if (!result || !result.ready) return;
+
+            if (!this.isReady) {
+                this.isReady = true;
+                this.dispatch(EventType.READY, result);
+            }
+            // The ready event may have arrived before anyone called connect()
+            if (this.finishConnect) this.finishConnect(null);
+        }).catch(() => {
+            // The frame may not be listening yet; its ready event still arrives
+        });
+    }
+
+    getHTML() {
+        return this.request(RequestType.GET_HTML);
+    }
+
+    getJSON() {
+        return this.request(RequestType.GET_JSON);
+    }
+
+    /**
+     * Replace the document with an HTML string or Tiptap JSON
+     */
+    setContent(content) {
+        return this.request(RequestType.SET_CONTENT, { content });
+    }
+
+    focus() {
+        this.frame.focus();
+        return this.request(RequestType.FOCUS);
+    }
+
+    /**
+     * Listen for 'ready', 'error' or 'change'; returns a function that unsubscribes
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return () => this.listeners.get(event).delete(callback);
+    }
+
+    request(type, payload = {}) {
+        const target = this.frame.contentWindow;
+        if (!target) {
+            return Promise.reject(protocolError(ErrorCode.NOT_READY, 'Editor frame is not attached'));
+        }
+
+        this.requestCount += 1;
+        const id = 'request-' + this.requestCount;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(protocolError(ErrorCode.TIMEOUT, type + ' got no response'));
+            }, this.timeoutMs);
+
+            this.pending.set(id, { resolve, reject, timer });
+            target.postMessage(createMessage(type, { id, editor: this.name || undefined, payload }), this.origin);
+        });
+    }
+
+    handleMessage(event) {
+        if (event.source !== this.frame.contentWindow || event.origin !== this.origin) return;
+
+        const data = event.data;
+        if (!isProtocolMessage(data) || (data.editor || null) !== this.name) return;
+
+        if (data.version !== PROTOCOL_VERSION) {
+            console.warn('Editor speaks protocol version ' + data.version + ', expected ' + PROTOCOL_VERSION);
+            return;
+        }
+
+        if (data.type === EventType.RESPONSE) {
+            this.settle(data.id, data.payload || {});
+            return;
+        }
+
+        if (data.type === EventType.READY) this.isReady = true;
+        this.dispatch(data.type, data.payload || {});
+    }
+
+    settle(id, payload) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        this.pending.delete(id);
+        clearTimeout(request.timer);
+
+        if (payload.ok) {
+            request.resolve(payload.result);
+        } else {
+            const error = payload.error || {};
+            request.reject(protocolError(error.code || ErrorCode.FAILED, error.message));
+        }
+    }
+
+    dispatch(event, payload) {
+        const callbacks = this.listeners.get(event);
+        if (!callbacks) return;
+
+        for (const callback of Array.from(callbacks)) {
+            try {
+                callback(payload);
+            } catch (error) {
+                console.error('Editor ' + event + ' listener failed:', error);
+            }
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('message', this.handleMessage);
+        this.frame.removeEventListener('load', this.handleFrameLoad);
+
+        for (const request of this.pending.values()) {
+            clearTimeout(request.timer);
+            request.reject(protocolError(ErrorCode.FAILED, 'Client destroyed'));
+        }
+        this.pending.clear();
+        this.listeners.clear();
+        this.connecting = null;
+        this.finishConnect = null;
+    }
+}
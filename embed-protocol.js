@@ -0,0 +1,89 @@
+/* embed-protocol.js */
+
+/**
+ * Embed Protocol Module
+ * @author Oathan Rex
+ *
+ * Shared by the editor and host pages, so it imports nothing.
+ *
+ * Every message is an object
+ *   { protocol: 'content-editor', version, type, id?, editor?, payload? }
+ * Requests carry an id that their response repeats. Responses have type
+ * 'response' and a payload of { ok: true, result } or
+ * { ok: false, error: { code, message } }. Events carry no id.
+ * `editor` names the editor when a frame holds more than one.
+ */
+
+export const PROTOCOL = 'content-editor';
+
+// Raised only for changes that break existing hosts
+export const PROTOCOL_VERSION = 1;
+
+// Host to editor
+export const RequestType = Object.freeze({
+    HELLO: 'hello',
+    SET_CONTENT: 'setContent',
+    GET_HTML: 'getHTML',
+    GET_JSON: 'getJSON',
+    FOCUS: 'focus'
+});
+
+// Editor to host
+export const EventType = Object.freeze({
+    READY: 'ready',
+    ERROR: 'error',
+    CHANGE: 'change',
+    RESPONSE: 'response'
+});
+
+export const ErrorCode = Object.freeze({
+    UNSUPPORTED_VERSION: 'unsupported-version',
+    UNKNOWN_TYPE: 'unknown-type',
+    NOT_READY: 'not-ready',
+    INVALID_PAYLOAD: 'invalid-payload',
+    FAILED: 'failed',
+    TIMEOUT: 'timeout'
+});
+
+export function createMessage(type, fields = {}) {
+    return { protocol: PROTOCOL, version: PROTOCOL_VERSION, type, ...fields };
+}
+
+export function isProtocolMessage(data) {
+    return Boolean(data) &&
+        typeof data === 'object' &&
+        data.protocol === PROTOCOL &&
+        typeof data.version === 'number' &&
+        typeof data.type === 'string';
+}
+
+/**
+ * An Error with a protocol error code
+ */
+export function protocolError(code, message) {
+    const error = new Error(message || code);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Origins must be given exactly; "*" would let any page drive the editor
+ */
+export function normalizeOrigins(origins) {
+    const list = Array.isArray(origins) ? origins : [origins];
+    const valid = [];
+
+    for (const origin of list) {
+        try {
+            const parsed = new URL(origin);
+            if (parsed.origin !== 'null' && parsed.origin === origin.replace(/\/$/, '')) {
+                valid.push(parsed.origin);
+                continue;
+            }
+        } catch (error) {
+            // Reported below
+        }
+        console.warn('Ignoring invalid origin:', origin);
+    }
+    return valid;
+}
@@ -5,118 +5,407 @@
  * @author Oathan Rex
  */
 
-import { escapeHTML, escapeAttribute, validateURL } from './utils.js';
+import { escapeHTML, escapeAttribute, escapeMarkdown, validateURL, validateImageURL, documentScope } from './utils.js';
+import { parseDimension, parseAlign } from './image.js';
+import { JUMP_BREAK_MARKUP } from './jumpbreak.js';
+import { getExportRel, parseTarget } from './link.js';
+import { renderHighlighted } from './highlight.js';
+
+export const ExportFormat = Object.freeze({
+    HTML: 'html',
+    MARKDOWN: 'markdown'
+});
+
+// Inline marks from outermost to innermost
+const MARK_ORDER = ['link', 'bold', 'italic', 'code'];
+
+// Language names usable in a class attribute or Markdown info string
+const LANGUAGE_NAME = /^[a-z0-9][a-z0-9+#_-]*$/i;
+
+// Inline styles keep alignment working in themes without editor CSS
+const IMAGE_ALIGN_STYLES = {
+    left: 'float: left; margin: 0 1em 1em 0;',
+    center: 'display: block; margin-left: auto; margin-right: auto; text-align: center;',
+    right: 'float: right; margin: 0 0 1em 1em;'
+};
+
+// HTML serializers by node type; plugins add more through registerNodeSerializer
+const NODE_SERIALIZERS = new Map([
+    ['paragraph', processParagraph],
+    ['heading', processHeading],
+    ['bulletList', (node, profile) => processList(node, 'ul', profile)],
+    ['orderedList', (node, profile) => processList(node, 'ol', profile)],
+    ['listItem', processListItem],
+    ['blockquote', processBlockquote],
+    ['codeBlock', processCodeBlock],
+    ['image', processImage],
+    ['jumpBreak', () => JUMP_BREAK_MARKUP],
+    ['hardBreak', () => '<br>'],
+    ['text', processText]
+]);
+
+const CORE_NODE_TYPES = new Set(NODE_SERIALIZERS.keys());
+
+// Markdown serializers for plugin node types; core types are handled by markdownNode
+const MARKDOWN_SERIALIZERS = new Map();
+
+// Node types markdownNode and markdownInline write themselves
+const CORE_MARKDOWN_TYPES = new Set([
+    'paragraph', 'heading', 'bulletList', 'orderedList', 'listItem', 'blockquote',
+    'codeBlock', 'image', 'jumpBreak', 'hardBreak', 'text'
+]);
+
+// Attribute and tag names a profile may use
+const TAG_NAME = /^[a-z][a-z0-9]*$/;
+
+// Built-in export profiles; every field missing from a profile falls back to BASE_PROFILE
+export const EXPORT_PROFILES = Object.freeze({
+    clean: {
+        name: 'Clean HTML'
+    },
+    classic: {
+        name: 'Blogger classic',
+        tags: { bold: 'b', italic: 'i' }
+    },
+    theme: {
+        name: 'Theme classes',
+        headingOffset: 1,
+        blockquoteJoin: 'paragraphs',
+        classes: {
+            blockquote: 'post-quote',
+            codeBlock: 'post-code',
+            image: 'post-image'
+        }
+    },
+    minimal: {
+        name: 'Minimal markup',
+        attributes: ['href', 'src', 'alt', 'start'],
+        lineEnding: 'crlf'
+    }
+});
+
+export const DEFAULT_EXPORT_PROFILE = 'clean';
+
+const BASE_PROFILE = {
+    tags: {
+        paragraph: 'p',
+        blockquote: 'blockquote',
+        bold: 'strong',
+        italic: 'em',
+        code: 'code'
+    },
+    headingOffset: 0,
+    classes: {},
+    blockquoteJoin: 'br',
+    lineEnding: 'lf',
+    attributes: null
+};
+
+/**
+ * Turn a profile name or object into a complete profile
+ *
+ * Tag mapping covers paragraph, blockquote, bold, italic and code. Classes
+ * are keyed by node or mark type. A null attribute allowlist allows all.
+ */
+export function resolveExportProfile(profile = DEFAULT_EXPORT_PROFILE) {
+    const source = typeof profile === 'string' ? EXPORT_PROFILES[profile] : profile;
+    const options = source && typeof source === 'object' ? source : {};
+
+    const tags = { ...BASE_PROFILE.tags };
+    for (const [type, tag] of Object.entries(options.tags || {})) {
+        if (type in tags && typeof tag === 'string' && TAG_NAME.test(tag)) {
+            tags[type] = tag;
+        }
+    }
+
+    const classes = {};
+    for (const [type, value] of Object.entries(options.classes || {})) {
+        if (typeof value === 'string' && value.trim()) {
+            classes[type] = value.trim();
+        }
+    }
+
+    return {
+        tags,
+        headingOffset: Number.isInteger(options.headingOffset) ? options.headingOffset : BASE_PROFILE.headingOffset,
+        classes,
+        blockquoteJoin: options.blockquoteJoin === 'paragraphs' ? 'paragraphs' : BASE_PROFILE.blockquoteJoin,
+        lineEnding: options.lineEnding === 'crlf' ? 'crlf' : BASE_PROFILE.lineEnding,
+        attributes: Array.isArray(options.attributes) ? new Set(options.attributes) : BASE_PROFILE.attributes
+    };
+}
+
+/**
+ * Add export support for a node type; spec.html(node, profile) returns its
+ * HTML and spec.markdown(node) its Markdown. Core node types cannot be replaced.
+ */
+export function registerNodeSerializer(type, spec = {}) {
+    if (typeof type !== 'string' || !type || CORE_NODE_TYPES.has(type)) return false;
+    if (typeof spec.html !== 'function') return false;
+
+    NODE_SERIALIZERS.set(type, spec.html);
+    if (typeof spec.markdown === 'function') {
+        MARKDOWN_SERIALIZERS.set(type, spec.markdown);
+    } else {
+        MARKDOWN_SERIALIZERS.delete(type);
+    }
+    return true;
+}
+
+export function unregisterNodeSerializer(type) {
+    if (CORE_NODE_TYPES.has(type)) return false;
+
+    MARKDOWN_SERIALIZERS.delete(type);
+    return NODE_SERIALIZERS.delete(type);
+}
+
+/**
+ * Node types in the document that have no serializer for the export format
+ */
+export function findUnsupportedNodes(json, format = ExportFormat.HTML) {
+    const types = new Set();
+    const isSupported = format === ExportFormat.MARKDOWN
+        ? (type) => CORE_MARKDOWN_TYPES.has(type) || MARKDOWN_SERIALIZERS.has(type)
+        : (type) => NODE_SERIALIZERS.has(type);
+
+    const visit = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (node.type && node.type !== 'doc' && !isSupported(node.type)) {
+            types.add(node.type);
+        }
+        if (Array.isArray(node.content)) {
+            node.content.forEach(visit);
+        }
+    };
+
+    visit(json);
+    return Array.from(types);
+}
 
 /**
  * Generate clean HTML from Tiptap JSON
  */
-export function generateCleanHTML(json) {
+export function generateCleanHTML(json, profile = DEFAULT_EXPORT_PROFILE) {
+    const { blocks, newline } = generateCleanHTMLBlocks(json, profile);
+
+    const html = blocks.map(block => block.html).join('\n');
+    return newline === '\n' ? html : html.replace(/\n/g, newline);
+}
+
+/**
+ * Generate HTML per top-level node, keeping the node's index in the document
+ *
+ * Block HTML always uses \n; the profile's line ending is returned alongside,
+ * as are node types that had no serializer and were exported as their contents.
+ */
+export function generateCleanHTMLBlocks(json, profile = DEFAULT_EXPORT_PROFILE) {
+    const options = { ...resolveExportProfile(profile), unsupported: new Set() };
+    const newline = options.lineEnding === 'crlf' ? '\r\n' : '\n';
+
     if (!json || !json.content || !Array.isArray(json.content)) {
-        return '';
+        return { blocks: [], newline, unsupported: [] };
     }
 
-    const parts = [];
-    for (const node of json.content) {
-        const html = processNode(node);
+    const blocks = [];
+    json.content.forEach((node, index) => {
+        const html = processNode(node, options);
         if (html) {
-            parts.push(html);
+            blocks.push({ index, html });
         }
+    });
+
+    return { blocks, newline, unsupported: Array.from(options.unsupported) };
+}
+
+/**
+ * Build an opening tag, adding the profile's class for the node type and
+ * dropping attributes outside the profile's allowlist
+ */
+export function openTag(tag, type, profile, attrs = []) {
+    const list = attrs.filter(([, value]) => value !== null && value !== undefined);
+
+    const extra = profile.classes[type];
+    if (extra) {
+        const existing = list.find(([name]) => name === 'class');
+        if (existing) {
+            existing[1] = existing[1] + ' ' + extra;
+        } else {
+            list.push(['class', extra]);
+        }
+    }
+
+    let html = '<' + tag;
+    for (const [name, value] of list) {
+        if (profile.attributes && !profile.attributes.has(name)) continue;
+        html += ' ' + name + '="' + escapeAttribute(String(value)) + '"';
     }
-    return parts.join('\n');
+    return html + '>';
 }
 
-function processNode(node) {
+function processNode(node, profile) {
     if (!node || !node.type) return '';
 
-    switch (node.type) {
-        case 'paragraph':
-            return processParagraph(node);
-        case 'heading':
-            return processHeading(node);
-        case 'bulletList':
-            return processBulletList(node);
-        case 'listItem':
-            return processListItem(node);
-        case 'blockquote':
-            return processBlockquote(node);
-        case 'text':
-            return processText(node);
-        default:
-            if (node.content && Array.isArray(node.content)) {
-                return node.content.map(processNode).filter(Boolean).join('');
-            }
-            return '';
+    const serializer = NODE_SERIALIZERS.get(node.type);
+    if (serializer) {
+        return serializer(node, profile);
     }
+
+    // Keep the text of unknown nodes, but report them instead of flattening silently
+    if (profile.unsupported) {
+        profile.unsupported.add(node.type);
+    }
+    return renderChildren(node, profile);
+}
+
+/**
+ * Serialize a node's children, for serializers of container nodes
+ */
+export function renderChildren(node, profile) {
+    if (!node.content || !Array.isArray(node.content)) return '';
+    return node.content.map(child => processNode(child, profile)).filter(Boolean).join('');
 }
 
-function processParagraph(node) {
-    const content = processInline(node.content);
+function processParagraph(node, profile) {
+    const content = renderInline(node.content, profile);
     if (!content || !content.trim()) return '';
-    return '<p>' + content + '</p>';
+
+    const tag = profile.tags.paragraph;
+    return openTag(tag, 'paragraph', profile) + content + '</' + tag + '>';
 }
 
-function processHeading(node) {
-    const level = (node.attrs && typeof node.attrs.level === 'number') ? node.attrs.level : 2;
-    const tag = level === 3 ? 'h3' : 'h2';
-    const content = processInline(node.content);
+function processHeading(node, profile) {
+    const level = (node.attrs && node.attrs.level === 3) ? 3 : 2;
+    const tag = 'h' + Math.min(6, Math.max(1, level + profile.headingOffset));
+    const content = renderInline(node.content, profile);
     if (!content || !content.trim()) return '';
-    return '<' + tag + '>' + content + '</' + tag + '>';
+    return openTag(tag, 'heading', profile) + content + '</' + tag + '>';
 }
 
-function processBulletList(node) {
+function processList(node, tag, profile) {
     if (!node.content || !Array.isArray(node.content) || node.content.length === 0) {
         return '';
     }
-    const items = node.content.map(processNode).filter(Boolean);
+    const items = node.content.map(child => processNode(child, profile)).filter(Boolean);
     if (items.length === 0) return '';
-    return '<ul>\n' + items.join('\n') + '\n</ul>';
+
+    const attrs = [];
+    if (tag === 'ol') {
+        const start = getListStart(node);
+        if (start !== 1) {
+            attrs.push(['start', start]);
+        }
+    }
+
+    return openTag(tag, node.type, profile, attrs) + '\n' + items.join('\n') + '\n</' + tag + '>';
 }
 
-function processListItem(node) {
+function getListStart(node) {
+    const start = node.attrs ? Number(node.attrs.start) : 1;
+    return Number.isInteger(start) && start >= 0 ? start : 1;
+}
+
+function processListItem(node, profile) {
     if (!node.content || !Array.isArray(node.content)) return '';
 
     const parts = [];
     for (const child of node.content) {
         if (child.type === 'paragraph') {
-            const text = processInline(child.content);
+            const text = renderInline(child.content, profile);
             if (text) parts.push(text);
-        } else if (child.type === 'bulletList') {
-            const nested = processBulletList(child);
-            if (nested) parts.push(nested);
         } else {
-            const processed = processNode(child);
+            const processed = processNode(child, profile);
             if (processed) parts.push(processed);
         }
     }
 
     if (parts.length === 0) return '';
-    return '<li>' + parts.join('') + '</li>';
+    return openTag('li', 'listItem', profile) + parts.join('') + '</li>';
 }
 
-function processBlockquote(node) {
+function processBlockquote(node, profile) {
     if (!node.content || !Array.isArray(node.content)) return '';
 
+    // Paragraphs are either kept as elements or flattened into <br>-separated lines
+    const keepParagraphs = profile.blockquoteJoin === 'paragraphs';
+
     const parts = [];
     for (const child of node.content) {
-        if (child.type === 'paragraph') {
-            const text = processInline(child.content);
+        if (child.type === 'paragraph' && !keepParagraphs) {
+            const text = renderInline(child.content, profile);
             if (text) parts.push(text);
         } else {
-            const processed = processNode(child);
+            const processed = processNode(child, profile);
             if (processed) parts.push(processed);
         }
     }
 
     if (parts.length === 0) return '';
-    return '<blockquote>' + parts.join('<br>') + '</blockquote>';
+
+    const tag = profile.tags.blockquote;
+    return openTag(tag, 'blockquote', profile) + parts.join(keepParagraphs ? '' : '<br>') + '</' + tag + '>';
+}
+
+function getCodeLanguage(node) {
+    const language = node.attrs && typeof node.attrs.language === 'string' ? node.attrs.language.trim() : '';
+    return LANGUAGE_NAME.test(language) ? language : '';
 }
 
-function processInline(content) {
+function getCodeText(node) {
+    if (!node.content || !Array.isArray(node.content)) return '';
+    return node.content
+        .map(child => (child && child.type === 'text' && typeof child.text === 'string') ? child.text : '')
+        .join('');
+}
+
+/**
+ * Code blocks keep whitespace exactly, with the class Prism and highlight.js expect
+ */
+function processCodeBlock(node, profile) {
+    const code = getCodeText(node);
+    if (!code.trim()) return '';
+
+    const language = getCodeLanguage(node);
+    const codeAttrs = language ? [['class', 'language-' + language]] : [];
+    return openTag('pre', 'codeBlock', profile) + openTag('code', '', profile, codeAttrs) +
+        escapeHTML(code) + '</code></pre>';
+}
+
+/**
+ * Images are dropped unless their source is an http(s) URL
+ */
+function processImage(node, profile) {
+    const attrs = node.attrs || {};
+    const validation = validateImageURL(attrs.src || '');
+    if (!validation.valid) return '';
+
+    const caption = typeof attrs.caption === 'string' ? attrs.caption.trim() : '';
+    const alignStyle = IMAGE_ALIGN_STYLES[parseAlign(attrs.align)] || '';
+
+    const img = openTag('img', caption ? '' : 'image', profile, [
+        ['src', validation.url],
+        ['alt', attrs.alt || ''],
+        ['title', attrs.title || null],
+        ['width', parseDimension(attrs.width)],
+        ['height', parseDimension(attrs.height)],
+        ['style', caption ? null : alignStyle || null],
+        ['loading', 'lazy']
+    ]);
+
+    if (!caption) return img;
+
+    return openTag('figure', 'image', profile, [['style', alignStyle || null]]) + img +
+        '<figcaption>' + escapeHTML(caption) + '</figcaption></figure>';
+}
+
+/**
+ * Serialize inline content, for serializers of text blocks
+ */
+export function renderInline(content, profile) {
     if (!content || !Array.isArray(content)) return '';
-    return content.map(processText).join('');
+    return content.map(node => processNode(node, profile)).join('');
 }
 
-function processText(node) {
+function processText(node, profile) {
     if (!node || node.type !== 'text' || typeof node.text !== 'string') {
         return '';
     }
@@ -128,10 +417,7 @@ function processText(node) {
     }
 
     // Sort marks for consistent output
-    const sorted = [...node.marks].sort((a, b) => {
-        const order = ['link', 'bold', 'italic', 'code'];
-        return order.indexOf(a.type) - order.indexOf(b.type);
-    });
+    const sorted = sortMarks(node.marks);
 
     const open = [];
     const close = [];
@@ -139,22 +425,23 @@ function processText(node) {
     for (const mark of sorted) {
         switch (mark.type) {
             case 'bold':
-                open.push('<strong>');
-                close.unshift('</strong>');
-                break;
             case 'italic':
-                open.push('<em>');
-                close.unshift('</em>');
-                break;
-            case 'code':
-                open.push('<code>');
-                close.unshift('</code>');
+            case 'code': {
+                const tag = profile.tags[mark.type];
+                open.push(openTag(tag, mark.type, profile));
+                close.unshift('</' + tag + '>');
                 break;
+            }
             case 'link': {
-                const href = (mark.attrs && mark.attrs.href) ? mark.attrs.href : '';
-                const validation = validateURL(href);
+                const attrs = mark.attrs || {};
+                const validation = validateURL(attrs.href || '');
                 if (validation.valid) {
-                    open.push('<a href="' + escapeAttribute(validation.url) + '">');
+                    open.push(openTag('a', 'link', profile, [
+                        ['href', validation.url],
+                        ['title', attrs.title || null],
+                        ['target', parseTarget(attrs.target)],
+                        ['rel', getExportRel(attrs)]
+                    ]));
                     close.unshift('</a>');
                 }
                 break;
@@ -165,21 +452,297 @@ function processText(node) {
     return open.join('') + text + close.join('');
 }
 
+function sortMarks(marks) {
+    return [...marks].sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+}
+
 /**
- * Format HTML for preview display
+ * Generate Markdown from Tiptap JSON
  */
-export function formatHTMLForDisplay(html) {
-    if (!html || typeof html !== 'string' || !html.trim()) {
+export function generateMarkdown(json) {
+    if (!json || !json.content || !Array.isArray(json.content)) {
         return '';
     }
 
-    let formatted = html
-        .replace(/(<\/(?:p|h2|h3|ul|li|blockquote)>)/g, '$1\n')
-        .replace(/(<ul>)/g, '$1\n')
-        .replace(/(<li>)/g, '  $1')
-        .replace(/\n{3,}/g, '\n\n');
+    const parts = [];
+    for (const node of json.content) {
+        const markdown = markdownNode(node);
+        if (markdown) {
+            parts.push(markdown);
+        }
+    }
+    return parts.join('\n\n');
+}
+
+function markdownNode(node) {
+    if (!node || !node.type) return '';
+
+    switch (node.type) {
+        case 'paragraph':
+            return markdownInline(node.content);
+        case 'heading': {
+            const level = (node.attrs && node.attrs.level === 3) ? 3 : 2;
+            // A heading is one line, so its breaks become spaces
+            const content = markdownInline(node.content, false);
+            if (!content) return '';
+            return '#'.repeat(level) + ' ' + content;
+        }
+        case 'bulletList':
+        case 'orderedList':
+            return markdownList(node);
+        case 'blockquote':
+            return markdownBlockquote(node);
+        case 'codeBlock':
+            return markdownCodeBlock(node);
+        case 'image':
+            return markdownImage(node);
+        case 'jumpBreak':
+            return JUMP_BREAK_MARKUP;
+        default:
+            if (MARKDOWN_SERIALIZERS.has(node.type)) {
+                return MARKDOWN_SERIALIZERS.get(node.type)(node);
+            }
+            if (node.content && Array.isArray(node.content)) {
+                return node.content.map(markdownNode).filter(Boolean).join('\n\n');
+            }
+            return '';
+    }
+}
+
+function markdownList(node) {
+    if (!node.content || !Array.isArray(node.content)) return '';
+
+    const ordered = node.type === 'orderedList';
+    let number = ordered ? getListStart(node) : 0;
+
+    const items = [];
+    for (const item of node.content) {
+        if (!item || !Array.isArray(item.content)) continue;
+
+        const blocks = item.content
+            .map(child => ({ child, markdown: markdownNode(child) }))
+            .filter(block => block.markdown);
+        if (blocks.length === 0) continue;
+
+        // Blocks of an item are apart by a blank line, except that a list
+        // may follow the item's text directly when it can interrupt a paragraph
+        let body = blocks[0].markdown;
+        for (let i = 1; i < blocks.length; i++) {
+            body += (canInterruptParagraph(blocks[i].child) && blocks[i - 1].child.type === 'paragraph' ? '\n' : '\n\n') +
+                blocks[i].markdown;
+        }
+
+        // Continuation lines are indented to the width of the list marker
+        const marker = ordered ? (number++) + '. ' : '- ';
+        const indent = ' '.repeat(marker.length);
+        items.push(marker + indentLines(body, indent).slice(indent.length));
+    }
+    return items.join('\n');
+}
+
+// CommonMark lets a bullet list, or an ordered list starting at 1, interrupt a paragraph
+function canInterruptParagraph(node) {
+    return node.type === 'bulletList' || (node.type === 'orderedList' && getListStart(node) === 1);
+}
+
+function markdownCodeBlock(node) {
+    const code = getCodeText(node);
+    if (!code.trim()) return '';
+
+    const runs = code.match(/^`{3,}/gm) || [];
+    const longest = runs.reduce((max, run) => Math.max(max, run.length), 2);
+    const fence = '`'.repeat(longest + 1);
+
+    return fence + getCodeLanguage(node) + '\n' + code.replace(/\n$/, '') + '\n' + fence;
+}
+
+/**
+ * Sized or aligned images fall back to HTML, which Markdown allows inline
+ */
+function markdownImage(node) {
+    const attrs = node.attrs || {};
+    const validation = validateImageURL(attrs.src || '');
+    if (!validation.valid) return '';
+
+    if (parseDimension(attrs.width) || parseDimension(attrs.height) || parseAlign(attrs.align)) {
+        return processImage(node, resolveExportProfile());
+    }
+
+    const alt = escapeMarkdown(attrs.alt || '');
+    const src = validation.url.replace(/[()\\]/g, '\\$&').replace(/\s/g, '%20');
+    return '![' + alt + '](' + src + markdownTitle(attrs.caption) + ')';
+}
+
+/**
+ * Optional quoted title after a link or image destination
+ */
+function markdownTitle(value) {
+    const title = typeof value === 'string' ? value.trim() : '';
+    return title ? ' "' + title.replace(/["\\]/g, '\\$&') + '"' : '';
+}
+
+function markdownBlockquote(node) {
+    if (!node.content || !Array.isArray(node.content)) return '';
+
+    const inner = node.content.map(markdownNode).filter(Boolean).join('\n\n');
+    if (!inner) return '';
+
+    return inner
+        .split('\n')
+        .map(line => line ? '> ' + line : '>')
+        .join('\n');
+}
 
-    return formatted.trim();
+function indentLines(text, prefix) {
+    return text
+        .split('\n')
+        .map(line => line ? prefix + line : line)
+        .join('\n');
+}
+
+function markdownMarkOpen(mark) {
+    switch (mark.type) {
+        case 'bold': return '**';
+        case 'italic': return '*';
+        case 'link': return '[';
+        default: return '';
+    }
+}
+
+function markdownMarkClose(mark) {
+    switch (mark.type) {
+        case 'bold': return '**';
+        case 'italic': return '*';
+        case 'link': return '](' + mark.attrs.href.replace(/[()\\]/g, '\\$&') + markdownTitle(mark.attrs.title) + ')';
+        default: return '';
+    }
+}
+
+function sameMark(a, b) {
+    if (a.type !== b.type) return false;
+    if (a.type !== 'link') return true;
+    return a.attrs.href === b.attrs.href && a.attrs.title === b.attrs.title;
+}
+
+/**
+ * Keep only marks that can be expressed, with validated link targets
+ */
+function markdownMarks(node) {
+    if (!node.marks || !Array.isArray(node.marks)) return [];
+
+    const marks = [];
+    for (const mark of sortMarks(node.marks)) {
+        if (mark.type === 'link') {
+            const href = (mark.attrs && mark.attrs.href) ? mark.attrs.href : '';
+            const validation = validateURL(href);
+            if (validation.valid) {
+                marks.push({ type: 'link', attrs: { href: validation.url, title: mark.attrs.title || null } });
+            }
+        } else if (MARK_ORDER.includes(mark.type)) {
+            marks.push({ type: mark.type });
+        }
+    }
+    return marks;
+}
+
+function markdownCode(text) {
+    const runs = text.match(/`+/g) || [];
+    const longest = runs.reduce((max, run) => Math.max(max, run.length), 0);
+    const fence = '`'.repeat(longest + 1);
+    const padded = (text.startsWith('`') || text.endsWith('`')) ? ' ' + text + ' ' : text;
+    return fence + padded + fence;
+}
+
+function markdownInline(content, breaks = true) {
+    if (!content || !Array.isArray(content)) return '';
+
+    let out = '';
+    let pending = '';
+    const active = [];
+    const lastContent = content.reduce((last, node, index) => (node && node.type !== 'hardBreak' ? index : last), -1);
+
+    for (const [index, node] of content.entries()) {
+        if (node && node.type === 'hardBreak') {
+            // Leading and trailing breaks have nothing to separate
+            if (!out || index > lastContent) continue;
+            if (breaks) {
+                // Emphasis cannot span lines reliably, so it is closed and reopened
+                while (active.length) {
+                    out += markdownMarkClose(active.pop());
+                }
+                out += '\\\n';
+                pending = '';
+            } else {
+                pending += ' ';
+            }
+            continue;
+        }
+        // Plugin inline nodes are written as-is, outside any open emphasis
+        if (node && MARKDOWN_SERIALIZERS.has(node.type)) {
+            while (active.length) {
+                out += markdownMarkClose(active.pop());
+            }
+            out += pending + MARKDOWN_SERIALIZERS.get(node.type)(node);
+            pending = '';
+            continue;
+        }
+        if (!node || node.type !== 'text' || typeof node.text !== 'string') continue;
+
+        const marks = markdownMarks(node);
+        const isCode = marks.some(m => m.type === 'code');
+        const wrapping = marks.filter(m => m.type !== 'code');
+
+        let shared = 0;
+        while (shared < active.length && shared < wrapping.length && sameMark(active[shared], wrapping[shared])) {
+            shared++;
+        }
+
+        // Whitespace must sit outside emphasis delimiters to be valid Markdown
+        let text = node.text;
+        let lead = '';
+        let trail = '';
+        if (!isCode) {
+            const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            lead = match[1];
+            text = match[2];
+            trail = match[3];
+        }
+
+        if (!text) {
+            pending += lead + trail;
+            continue;
+        }
+
+        while (active.length > shared) {
+            out += markdownMarkClose(active.pop());
+        }
+        out += pending + lead;
+        pending = trail;
+
+        for (let i = shared; i < wrapping.length; i++) {
+            out += markdownMarkOpen(wrapping[i]);
+            active.push(wrapping[i]);
+        }
+
+        out += isCode ? markdownCode(text) : escapeMarkdown(text);
+    }
+
+    while (active.length) {
+        out += markdownMarkClose(active.pop());
+    }
+    out += pending;
+
+    // Each line after a break could start a block too
+    return out.trim().split('\n').map(line => escapeLineStart(line.trimStart())).join('\n');
+}
+
+/**
+ * Escape text that would otherwise start a heading, list or rule
+ */
+function escapeLineStart(line) {
+    return line
+        .replace(/^([#+=-])/, '\\$1')
+        .replace(/^(\d+)([.)])/, '$1\\$2');
 }
 
 /**
@@ -189,23 +752,117 @@ export class HTMLPreviewController {
     constructor() {
         this.element = null;
         this.lastHTML = null;
+        this.format = ExportFormat.HTML;
+        this.currentBlock = null;
+        this.onBlockSelect = null;
+
+        this.handleClick = this.handleClick.bind(this);
     }
 
-    initialize(elementId) {
-        this.element = document.getElementById(elementId);
-        return this.element !== null;
+    initialize(elementId, options = {}) {
+        const scope = options.scope || documentScope;
+        this.element = scope.byId(elementId);
+        if (!this.element) return false;
+
+        this.onBlockSelect = options.onBlockSelect || null;
+        this.element.addEventListener('click', this.handleClick);
+        return true;
     }
 
-    update(html) {
+    setFormat(format) {
+        if (this.format === format) return;
+        this.format = format;
+        this.lastHTML = null;
+    }
+
+    /**
+     * Show export output; HTML segments from formatHTMLSegments are highlighted
+     * and tagged with the index of the document block they came from
+     */
+    update(output, segments = null) {
+        if (!this.element) return;
+
+        const highlight = this.format === ExportFormat.HTML && Array.isArray(segments);
+        const key = highlight ? segments.map(segment => segment.block).join(',') + '|' + output : output;
+        if (this.lastHTML === key) return;
+
+        this.lastHTML = key;
+        this.element.textContent = '';
+
+        if (!highlight) {
+            this.element.textContent = output || '';
+            return;
+        }
+
+        for (const segment of segments) {
+            if (segment.block === null) {
+                this.element.appendChild(document.createTextNode(segment.text));
+                continue;
+            }
+
+            const block = document.createElement('span');
+            block.className = 'preview-block';
+            block.setAttribute('data-block', String(segment.block));
+            renderHighlighted(block, segment.text);
+            this.element.appendChild(block);
+        }
+
+        this.highlightBlock(this.currentBlock, false);
+    }
+
+    /**
+     * Mark the output of one document block, scrolling it into view
+     */
+    highlightBlock(index, scroll = true) {
         if (!this.element) return;
-        if (this.lastHTML === html) return;
 
-        this.lastHTML = html;
-        this.element.textContent = formatHTMLForDisplay(html) || '';
+        this.currentBlock = Number.isInteger(index) ? index : null;
+
+        let target = null;
+        for (const block of this.element.querySelectorAll('.preview-block')) {
+            const isCurrent = Number(block.getAttribute('data-block')) === this.currentBlock;
+            block.classList.toggle('is-current', isCurrent);
+            if (isCurrent) target = block;
+        }
+
+        if (target && scroll) {
+            scrollIntoContainer(this.element.parentElement, target);
+        }
+    }
+
+    handleClick(e) {
+        const block = e.target.closest ? e.target.closest('.preview-block') : null;
+        if (!block || typeof this.onBlockSelect !== 'function') return;
+
+        // Leave text selections in the preview alone so source can still be copied
+        const selection = window.getSelection ? window.getSelection() : null;
+        if (selection && !selection.isCollapsed) return;
+
+        this.onBlockSelect(Number(block.getAttribute('data-block')));
     }
 
     destroy() {
+        if (this.element) {
+            this.element.removeEventListener('click', this.handleClick);
+        }
+
         this.element = null;
         this.lastHTML = null;
+        this.currentBlock = null;
+        this.onBlockSelect = null;
+    }
+}
+
+// Scroll only the preview pane, never the page
+function scrollIntoContainer(container, target) {
+    if (!container) return;
+
+    const containerRect = container.getBoundingClientRect();
+    const targetRect = target.getBoundingClientRect();
+
+    if (targetRect.top < containerRect.top) {
+        container.scrollTop -= containerRect.top - targetRect.top;
+    } else if (targetRect.bottom > containerRect.bottom) {
+        container.scrollTop += Math.min(targetRect.bottom - containerRect.bottom, targetRect.top - containerRect.top);
     }
 }
@@ -0,0 +1,298 @@
+/* formatter.js */
+
+/**
+ * HTML Formatter Module
+ * @author Oathan Rex
+ */
+
+export const FormatMode = Object.freeze({
+    PRETTY: 'pretty',
+    MINIFIED: 'minified'
+});
+
+export const DEFAULT_FORMAT_OPTIONS = Object.freeze({
+    mode: FormatMode.PRETTY,
+    indent: 2,
+    maxLineWidth: 0
+});
+
+// Elements whose edges make surrounding whitespace insignificant
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'dd', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+    'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link',
+    'meta', 'source', 'track', 'wbr'
+]);
+
+// Content is kept byte for byte, including whitespace
+const RAW_TAGS = new Set(['pre', 'textarea', 'script', 'style']);
+
+const TOKEN = /<!--[\s\S]*?-->|<\/?([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*>|[^<]+|</g;
+
+// Placeholder for raw content while lines are wrapped
+const RAW_MARKER = '\u0000';
+
+/**
+ * Re-indent or minify HTML
+ *
+ * Whitespace is only added or removed next to block boundaries and never
+ * beside text, so both modes parse to the same DOM once whitespace-only text
+ * between blocks is ignored. Line wrapping replaces a space in text with a
+ * line break, which renders identically.
+ */
+export function formatHTML(html, options = {}) {
+    if (!html || typeof html !== 'string' || !html.trim()) {
+        return '';
+    }
+
+    const settings = resolveFormatOptions(options);
+    const newline = html.includes('\r\n') ? '\r\n' : '\n';
+    const root = parseTree(html.replace(/\r\n/g, '\n'));
+
+    return renderRoot(root, settings, newline);
+}
+
+/**
+ * Format top-level blocks one at a time, keeping each block's output apart
+ *
+ * Takes [{ index, html }] and returns [{ text, block }] where block is the
+ * index of the source block, or null for the separators between blocks.
+ * Joining the texts gives the same result as formatting the whole document.
+ */
+export function formatHTMLSegments(blocks, options = {}) {
+    const settings = resolveFormatOptions(options);
+    const newline = options.newline === '\r\n' ? '\r\n' : '\n';
+    const pretty = settings.mode === FormatMode.PRETTY;
+
+    const segments = [];
+    let previous = null;
+
+    for (const block of blocks) {
+        const root = parseTree(String(block.html).replace(/\r\n/g, '\n'));
+        if (!root.children.length) continue;
+
+        const first = root.children[0].kind;
+        if (previous && (pretty || !isFlexibleGap(previous, first))) {
+            segments.push({ text: newline, block: null });
+        }
+
+        segments.push({ text: renderRoot(root, settings, newline), block: block.index });
+        previous = root.children[root.children.length - 1].kind;
+    }
+
+    return segments;
+}
+
+export function resolveFormatOptions(options = {}) {
+    const indent = Number(options.indent);
+    const maxLineWidth = Number(options.maxLineWidth);
+
+    return {
+        mode: options.mode === FormatMode.MINIFIED ? FormatMode.MINIFIED : FormatMode.PRETTY,
+        indent: Number.isInteger(indent) && indent >= 0 && indent <= 8 ? indent : DEFAULT_FORMAT_OPTIONS.indent,
+        maxLineWidth: Number.isInteger(maxLineWidth) && maxLineWidth > 0 ? maxLineWidth : 0
+    };
+}
+
+/**
+ * Build a light element tree; tags are kept as written so escaping is untouched
+ */
+function renderRoot(root, settings, newline) {
+    const raw = [];
+    const context = {
+        pretty: settings.mode === FormatMode.PRETTY,
+        unit: ' '.repeat(settings.indent),
+        raw
+    };
+
+    let output = renderChildren(root, -1, context);
+
+    if (context.pretty && settings.maxLineWidth > 0) {
+        output = output
+            .split('\n')
+            .map(line => wrapLine(line, settings.maxLineWidth, context.unit))
+            .join('\n');
+    }
+
+    output = output.replace(/\u0000(\d+)\u0000/g, (match, index) => raw[Number(index)]);
+
+    return newline === '\n' ? output : output.replace(/\n/g, newline);
+}
+
+function parseTree(html) {
+    const root = { kind: 'block', tag: '', open: '', children: [] };
+    const stack = [root];
+
+    TOKEN.lastIndex = 0;
+    let match;
+
+    while ((match = TOKEN.exec(html)) !== null) {
+        const token = match[0];
+        const parent = stack[stack.length - 1];
+
+        if (token.startsWith('<!--')) {
+            parent.children.push({ kind: 'inline', raw: token });
+            continue;
+        }
+
+        if (!match[1]) {
+            appendText(parent, token);
+            continue;
+        }
+
+        const tag = match[1].toLowerCase();
+
+        if (token.startsWith('</')) {
+            // Close the nearest matching element, ignoring stray end tags
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (stack[i].tag === tag) {
+                    stack.length = i;
+                    break;
+                }
+            }
+            continue;
+        }
+
+        const kind = BLOCK_TAGS.has(tag) ? 'block' : 'inline';
+
+        if (RAW_TAGS.has(tag)) {
+            const close = html.toLowerCase().indexOf('</' + tag, TOKEN.lastIndex);
+            const end = close === -1 ? html.length : html.indexOf('>', close) + 1 || html.length;
+            parent.children.push({ kind, raw: html.slice(match.index, end) });
+            TOKEN.lastIndex = end;
+            continue;
+        }
+
+        const element = { kind, tag, open: token, children: [] };
+        parent.children.push(element);
+
+        if (!VOID_TAGS.has(tag) && !token.endsWith('/>')) {
+            stack.push(element);
+        }
+    }
+
+    dropIgnorableWhitespace(root);
+    return root;
+}
+
+function appendText(parent, text) {
+    const last = parent.children[parent.children.length - 1];
+    if (last && last.kind === 'text') {
+        last.raw += text;
+    } else {
+        parent.children.push({ kind: 'text', raw: text });
+    }
+}
+
+/**
+ * Whitespace may sit in a gap when neither side is text and one side is a block edge
+ */
+function isFlexibleGap(before, after) {
+    return before !== 'text' && after !== 'text' && (before === 'block' || after === 'block');
+}
+
+function dropIgnorableWhitespace(element) {
+    if (!element.children) return;
+
+    const children = element.children;
+    element.children = children.filter((child, i) => {
+        if (child.kind !== 'text' || child.raw.trim()) return true;
+
+        const before = i > 0 ? children[i - 1].kind : element.kind;
+        const after = i < children.length - 1 ? children[i + 1].kind : element.kind;
+        return !isFlexibleGap(before, after);
+    });
+
+    for (const child of element.children) {
+        dropIgnorableWhitespace(child);
+    }
+}
+
+function renderNode(node, depth, context) {
+    if (node.raw !== undefined) {
+        if (node.kind === 'text') return node.raw;
+        context.raw.push(node.raw);
+        return RAW_MARKER + (context.raw.length - 1) + RAW_MARKER;
+    }
+
+    if (VOID_TAGS.has(node.tag) || node.open.endsWith('/>')) {
+        return node.open;
+    }
+
+    const inner = renderChildren(node, depth, context);
+    return node.open + inner + '</' + node.tag + '>';
+}
+
+function renderChildren(element, depth, context) {
+    const children = element.children;
+    if (!children.length) return '';
+
+    const isRoot = depth < 0;
+    // Elements holding only inline content stay on one line
+    const stacked = isRoot || children.some(child => child.kind === 'block');
+    const breakAt = (before, after) => context.pretty && stacked && isFlexibleGap(before, after);
+    const lineBreak = (level) => '\n' + context.unit.repeat(Math.max(0, level));
+
+    let out = '';
+    let previous = element.kind;
+
+    children.forEach((child, i) => {
+        if (breakAt(previous, child.kind) && !(isRoot && i === 0)) {
+            out += lineBreak(depth + 1);
+        }
+        out += renderNode(child, depth + 1, context);
+        previous = child.kind;
+    });
+
+    if (!isRoot && breakAt(previous, element.kind)) {
+        out += lineBreak(depth);
+    }
+
+    return out;
+}
+
+/**
+ * Break a long line at spaces in text, continuing one indent level deeper
+ */
+function wrapLine(line, width, unit) {
+    if (line.length <= width) return line;
+
+    const indent = line.match(/^ */)[0];
+    const continuation = '\n' + indent + unit;
+
+    // Offsets of spaces outside tags and comments
+    const candidates = [];
+    let inTag = false;
+    for (let i = indent.length; i < line.length; i++) {
+        const char = line[i];
+        if (char === '<') inTag = true;
+        else if (char === '>') inTag = false;
+        else if (char === ' ' && !inTag) candidates.push(i);
+    }
+
+    let out = '';
+    let lineStart = 0;
+    let column = 0;
+    let lastBreakable = -1;
+
+    for (const position of candidates) {
+        if (column + (position - lineStart) > width && lastBreakable > lineStart) {
+            out += line.slice(lineStart, lastBreakable) + continuation;
+            column = continuation.length - 1;
+            lineStart = lastBreakable + 1;
+        }
+        lastBreakable = position;
+    }
+
+    if (column + (line.length - lineStart) > width && lastBreakable > lineStart) {
+        out += line.slice(lineStart, lastBreakable) + continuation;
+        lineStart = lastBreakable + 1;
+    }
+
+    return out + line.slice(lineStart);
+}
@@ -0,0 +1,148 @@
+/* highlight.js */
+
+/**
+ * HTML Syntax Highlighting Module
+ * @author Oathan Rex
+ */
+
+export const TokenType = Object.freeze({
+    TEXT: 'text',
+    PUNCTUATION: 'punctuation',
+    TAG: 'tag',
+    ATTRIBUTE: 'attribute',
+    VALUE: 'value',
+    ENTITY: 'entity',
+    COMMENT: 'comment'
+});
+
+const MARKUP = /<!--[\s\S]*?-->|<\/?[a-zA-Z][^>]*>?/g;
+const ENTITY = /&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);/gi;
+const TAG_PARTS = /^(<\/?)([a-zA-Z][a-zA-Z0-9-]*)([\s\S]*?)(\/?>)?$/;
+const ATTRIBUTE = /(\s+)([^\s=/>]+)(?:(\s*=\s*)("[^"]*"|'[^']*'|[^\s>]+))?/g;
+
+/**
+ * Split HTML source into tokens for display; the texts join back to the input
+ */
+export function tokenizeHTML(source) {
+    const tokens = [];
+    if (typeof source !== 'string' || !source) return tokens;
+
+    let last = 0;
+    MARKUP.lastIndex = 0;
+    let match;
+
+    while ((match = MARKUP.exec(source)) !== null) {
+        if (match.index > last) {
+            pushText(tokens, source.slice(last, match.index));
+        }
+
+        if (match[0].startsWith('<!--')) {
+            tokens.push({ type: TokenType.COMMENT, text: match[0] });
+        } else {
+            pushTag(tokens, match[0]);
+        }
+
+        last = MARKUP.lastIndex;
+    }
+
+    if (last < source.length) {
+        pushText(tokens, source.slice(last));
+    }
+
+    return tokens;
+}
+
+function pushText(tokens, text) {
+    let last = 0;
+    ENTITY.lastIndex = 0;
+    let match;
+
+    while ((match = ENTITY.exec(text)) !== null) {
+        if (match.index > last) {
+            tokens.push({ type: TokenType.TEXT, text: text.slice(last, match.index) });
+        }
+        tokens.push({ type: TokenType.ENTITY, text: match[0] });
+        last = ENTITY.lastIndex;
+    }
+
+    if (last < text.length) {
+        tokens.push({ type: TokenType.TEXT, text: text.slice(last) });
+    }
+}
+
+function pushTag(tokens, tag) {
+    const parts = tag.match(TAG_PARTS);
+    if (!parts) {
+        tokens.push({ type: TokenType.TEXT, text: tag });
+        return;
+    }
+
+    const [, open, name, rest, close] = parts;
+    tokens.push({ type: TokenType.PUNCTUATION, text: open });
+    tokens.push({ type: TokenType.TAG, text: name });
+
+    let last = 0;
+    ATTRIBUTE.lastIndex = 0;
+    let match;
+
+    while ((match = ATTRIBUTE.exec(rest)) !== null) {
+        if (match.index > last) {
+            tokens.push({ type: TokenType.TEXT, text: rest.slice(last, match.index) });
+        }
+
+        tokens.push({ type: TokenType.TEXT, text: match[1] });
+        tokens.push({ type: TokenType.ATTRIBUTE, text: match[2] });
+        if (match[3]) {
+            tokens.push({ type: TokenType.PUNCTUATION, text: match[3] });
+            pushValue(tokens, match[4]);
+        }
+
+        last = ATTRIBUTE.lastIndex;
+    }
+
+    if (last < rest.length) {
+        tokens.push({ type: TokenType.TEXT, text: rest.slice(last) });
+    }
+    if (close) {
+        tokens.push({ type: TokenType.PUNCTUATION, text: close });
+    }
+}
+
+// Entities inside attribute values are highlighted too
+function pushValue(tokens, value) {
+    let last = 0;
+    ENTITY.lastIndex = 0;
+    let match;
+
+    while ((match = ENTITY.exec(value)) !== null) {
+        if (match.index > last) {
+            tokens.push({ type: TokenType.VALUE, text: value.slice(last, match.index) });
+        }
+        tokens.push({ type: TokenType.ENTITY, text: match[0] });
+        last = ENTITY.lastIndex;
+    }
+
+    if (last < value.length) {
+        tokens.push({ type: TokenType.VALUE, text: value.slice(last) });
+    }
+}
+
+/**
+ * Append highlighted HTML source to a container as text and spans
+ */
+export function renderHighlighted(container, source) {
+    const fragment = document.createDocumentFragment();
+
+    for (const token of tokenizeHTML(source)) {
+        if (token.type === TokenType.TEXT) {
+            fragment.appendChild(document.createTextNode(token.text));
+        } else {
+            const span = document.createElement('span');
+            span.className = 'hl-' + token.type;
+            span.textContent = token.text;
+            fragment.appendChild(span);
+        }
+    }
+
+    container.appendChild(fragment);
+}
@@ -0,0 +1,98 @@
+/* image.js */
+
+/**
+ * Image Extension Module
+ * @author Oathan Rex
+ */
+
+export const ImageAlign = Object.freeze({
+    LEFT: 'left',
+    CENTER: 'center',
+    RIGHT: 'right'
+});
+
+const ALIGN_VALUES = Object.values(ImageAlign);
+
+/**
+ * Normalize a width or height to a positive integer or null
+ */
+export function parseDimension(value) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+export function parseAlign(value) {
+    return ALIGN_VALUES.includes(value) ? value : null;
+}
+
+/**
+ * Extend the Tiptap Image node with caption, size and alignment attributes
+ */
+export function createImageExtension(Image) {
+    return Image.extend({
+        addAttributes() {
+            return {
+                ...this.parent?.(),
+                caption: {
+                    default: null,
+                    parseHTML: element => element.getAttribute('data-caption'),
+                    renderHTML: attributes => attributes.caption ? { 'data-caption': attributes.caption } : {}
+                },
+                width: {
+                    default: null,
+                    parseHTML: element => parseDimension(element.getAttribute('width')),
+                    renderHTML: attributes => attributes.width ? { width: attributes.width } : {}
+                },
+                height: {
+                    default: null,
+                    parseHTML: element => parseDimension(element.getAttribute('height')),
+                    renderHTML: attributes => attributes.height ? { height: attributes.height } : {}
+                },
+                align: {
+                    default: null,
+                    parseHTML: element => parseAlign(element.getAttribute('data-align')),
+                    renderHTML: attributes => attributes.align ? { 'data-align': attributes.align } : {}
+                }
+            };
+        },
+
+        renderHTML({ node, HTMLAttributes }) {
+            const img = ['img', { ...this.options.HTMLAttributes, ...HTMLAttributes }];
+
+            if (!node.attrs.caption) {
+                return img;
+            }
+
+            return [
+                'figure',
+                { class: 'editor-figure', 'data-align': node.attrs.align || null },
+                img,
+                ['figcaption', node.attrs.caption]
+            ];
+        }
+    }).configure({
+        inline: false,
+        allowBase64: false
+    });
+}
+
+/**
+ * Count images in a document that have no alt text
+ */
+export function countMissingAlt(json) {
+    if (!json || typeof json !== 'object') return 0;
+
+    let count = 0;
+    if (json.type === 'image') {
+        const alt = json.attrs && typeof json.attrs.alt === 'string' ? json.attrs.alt.trim() : '';
+        if (!alt) count++;
+    }
+
+    if (Array.isArray(json.content)) {
+        for (const child of json.content) {
+            count += countMissingAlt(child);
+        }
+    }
+
+    return count;
+}
@@ -0,0 +1,1254 @@
+/* import.js */
+
+/**
+ * HTML and Markdown Import Module
+ * @author Oathan Rex
+ */
+
+import { validateURL, validateImageURL, unescapeMarkdown } from './utils.js';
+import { parseDimension } from './image.js';
+import { createLinkAttrs } from './link.js';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+
+// Matches the mark ranking in the editor schema (Link has the highest priority)
+const MARK_ORDER = ['link', 'bold', 'code', 'italic'];
+
+const INLINE_MARKS = {
+    strong: 'bold',
+    b: 'bold',
+    em: 'italic',
+    i: 'italic',
+    cite: 'italic',
+    dfn: 'italic',
+    var: 'italic',
+    code: 'code',
+    kbd: 'code',
+    samp: 'code',
+    tt: 'code'
+};
+
+const HEADING_LEVELS = {
+    h1: 2,
+    h2: 2,
+    h3: 3,
+    h4: 3,
+    h5: 3,
+    h6: 3
+};
+
+// Removed together with their content
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed',
+    'video', 'audio', 'canvas', 'svg', 'source', 'form', 'input',
+    'button', 'select', 'textarea', 'hr', 'head', 'title', 'meta', 'link'
+]);
+
+// Removed but their content is kept
+const CONTAINER_TAGS = new Set([
+    'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav',
+    'figure', 'figcaption', 'center', 'address', 'details', 'summary', 'dl',
+    'dt', 'dd', 'body', 'html', 'picture'
+]);
+
+const BLOCK_TAGS = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote',
+    'pre', 'table', ...CONTAINER_TAGS
+]);
+
+// rel values other than the author's flags are re-derived on export
+const ALLOWED_ATTRIBUTES = {
+    a: ['href', 'title', 'target', 'rel'],
+    ol: ['start'],
+    pre: ['class'],
+    code: ['class'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading', 'style'],
+    figure: ['style']
+};
+
+// Language hints used by Prism and highlight.js
+const LANGUAGE_CLASS = /(?:^|\s)(?:language|lang)-([\w+#-]+)/;
+
+// Blogger's jump break, e.g. <!--more--> or <!-- more -->
+const JUMP_BREAK_COMMENT = /^\s*more\s*$/i;
+
+// Start and end tags, or a comment opening; a tag stops at the next "<" when its ">" is missing
+const MARKUP_TOKEN = /<!--|<\/?([a-zA-Z][a-zA-Z0-9-]*)\b[^<>]*>?/g;
+
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link',
+    'meta', 'source', 'track', 'wbr'
+]);
+
+// Content up to the matching end tag is text, not markup
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+
+// End tags the parser infers, so leaving them out is valid HTML
+const OPTIONAL_END_TAGS = new Set([
+    'p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot',
+    'option', 'html', 'head', 'body'
+]);
+
+// Wrappers that are expected in pasted markup and not worth reporting
+const SILENT_TAGS = new Set(['span', 'body', 'html', 'tbody', 'thead', 'tfoot']);
+
+function createReport() {
+    return {
+        droppedElements: new Map(),
+        unwrappedElements: new Map(),
+        mappedElements: new Map(),
+        droppedAttributes: new Map(),
+        rejectedURLs: [],
+        hasJumpBreak: false
+    };
+}
+
+function count(map, key) {
+    map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Parse HTML into Tiptap JSON limited to the editor schema
+ */
+export function parseHTML(html) {
+    const report = createReport();
+
+    if (typeof html !== 'string' || !html.trim()) {
+        return { json: { type: 'doc', content: [{ type: 'paragraph' }] }, report };
+    }
+
+    const blocks = htmlToBlocks(html, report);
+
+    return {
+        json: {
+            type: 'doc',
+            content: blocks.length ? blocks : [{ type: 'paragraph' }]
+        },
+        report
+    };
+}
+
+function htmlToBlocks(html, report) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return convertBlocks(doc.body.childNodes, report);
+}
+
+/**
+ * Summarize an import report as human-readable lines
+ */
+export function summarizeImportReport(report) {
+    if (!report) return [];
+
+    const lines = [];
+    const describe = (map) => Array.from(map.entries())
+        .map(([key, n]) => key + (n > 1 ? ' (' + n + ')' : ''))
+        .join(', ');
+
+    if (report.droppedElements.size) {
+        lines.push('Removed elements: ' + describe(report.droppedElements));
+    }
+    if (report.unwrappedElements.size) {
+        lines.push('Removed tags, kept text: ' + describe(report.unwrappedElements));
+    }
+    if (report.mappedElements.size) {
+        lines.push('Converted: ' + describe(report.mappedElements));
+    }
+    if (report.droppedAttributes.size) {
+        lines.push('Removed attributes: ' + describe(report.droppedAttributes));
+    }
+    if (report.rejectedURLs.length) {
+        lines.push('Unsafe or invalid links removed: ' + report.rejectedURLs.join(', '));
+    }
+
+    return lines;
+}
+
+/**
+ * Find unclosed, stray and unterminated markup, with 1-based line numbers
+ *
+ * The browser's parser repairs all of these silently, often by moving or
+ * dropping content, so they are worth pointing out before parsing.
+ */
+export function findMarkupErrors(html) {
+    const errors = [];
+    if (typeof html !== 'string' || !html) return errors;
+
+    // Offsets only move forward, so line numbers are counted incrementally
+    let line = 1;
+    let scanned = 0;
+    const lineAt = (offset) => {
+        for (; scanned < offset; scanned++) {
+            if (html.charCodeAt(scanned) === 10) line++;
+        }
+        return line;
+    };
+
+    const stack = [];
+    const lower = html.toLowerCase();
+    MARKUP_TOKEN.lastIndex = 0;
+    let match;
+
+    while ((match = MARKUP_TOKEN.exec(html)) !== null) {
+        const at = lineAt(match.index);
+
+        if (match[0] === '<!--') {
+            const end = html.indexOf('-->', MARKUP_TOKEN.lastIndex);
+            if (end === -1) {
+                errors.push({ line: at, message: 'Comment is never closed' });
+                break;
+            }
+            MARKUP_TOKEN.lastIndex = end + 3;
+            continue;
+        }
+
+        const tag = match[1].toLowerCase();
+        const isEnd = match[0].startsWith('</');
+
+        if (!match[0].endsWith('>')) {
+            errors.push({ line: at, message: '<' + (isEnd ? '/' : '') + tag + '> is missing its closing ">"' });
+            break;
+        }
+
+        if (isEnd) {
+            const index = stack.map(entry => entry.tag).lastIndexOf(tag);
+            if (index === -1) {
+                errors.push({ line: at, message: '</' + tag + '> has no matching opening tag' });
+                continue;
+            }
+            for (const entry of stack.slice(index + 1)) {
+                if (!OPTIONAL_END_TAGS.has(entry.tag)) {
+                    errors.push({ line: entry.line, message: '<' + entry.tag + '> is never closed' });
+                }
+            }
+            stack.length = index;
+            continue;
+        }
+
+        if (VOID_TAGS.has(tag) || match[0].endsWith('/>')) continue;
+
+        if (RAW_TEXT_TAGS.has(tag)) {
+            const close = lower.indexOf('</' + tag, MARKUP_TOKEN.lastIndex);
+            if (close === -1) {
+                errors.push({ line: at, message: '<' + tag + '> is never closed' });
+                break;
+            }
+            MARKUP_TOKEN.lastIndex = close;
+        }
+
+        stack.push({ tag, line: at });
+    }
+
+    for (const entry of stack) {
+        if (!OPTIONAL_END_TAGS.has(entry.tag)) {
+            errors.push({ line: entry.line, message: '<' + entry.tag + '> is never closed' });
+        }
+    }
+
+    return errors.sort((a, b) => a.line - b.line);
+}
+
+function checkAttributes(el, tag, report) {
+    const allowed = ALLOWED_ATTRIBUTES[tag] || [];
+    for (const attr of Array.from(el.attributes)) {
+        if (!allowed.includes(attr.name)) {
+            count(report.droppedAttributes, tag + '[' + attr.name + ']');
+        }
+    }
+}
+
+function convertBlocks(childNodes, report) {
+    const blocks = [];
+    let inline = [];
+
+    const flush = () => {
+        blocks.push(...inlineBlocks(inline, 'paragraph'));
+        inline = [];
+    };
+
+    for (const child of Array.from(childNodes)) {
+        if (child.nodeType === TEXT_NODE) {
+            inline.push(...convertInline(child, [], report));
+            continue;
+        }
+        if (child.nodeType === COMMENT_NODE) {
+            if (JUMP_BREAK_COMMENT.test(child.data)) {
+                flush();
+                blocks.push(...createJumpBreak(report));
+            }
+            continue;
+        }
+        if (child.nodeType !== ELEMENT_NODE) continue;
+
+        const tag = child.tagName.toLowerCase();
+
+        if (DROPPED_TAGS.has(tag)) {
+            count(report.droppedElements, tag);
+        } else if (tag === 'br') {
+            // Line breaks between loose content separate paragraphs
+            flush();
+        } else if (BLOCK_TAGS.has(tag)) {
+            flush();
+            blocks.push(...convertBlock(child, tag, report));
+        } else {
+            inline.push(...convertInline(child, [], report));
+        }
+    }
+
+    flush();
+    return blocks;
+}
+
+/**
+ * Blogger honours only the first break, so later ones are reported and dropped
+ */
+function createJumpBreak(report) {
+    if (report.hasJumpBreak) {
+        count(report.droppedElements, 'extra <!--more-->');
+        return [];
+    }
+    report.hasJumpBreak = true;
+    return [{ type: 'jumpBreak' }];
+}
+
+function convertBlock(el, tag, report) {
+    checkAttributes(el, tag, report);
+
+    if (HEADING_LEVELS[tag]) {
+        const level = HEADING_LEVELS[tag];
+        if (tag !== 'h' + level) {
+            count(report.mappedElements, tag + ' to h' + level);
+        }
+        return inlineBlocks(collectInline(el, report), 'heading', { level });
+    }
+
+    switch (tag) {
+        case 'p':
+            return inlineBlocks(collectInline(el, report), 'paragraph');
+        case 'figure': {
+            const image = convertFigure(el, report);
+            return image ? [image] : convertBlocks(el.childNodes, report);
+        }
+        case 'ul':
+        case 'ol': {
+            const list = convertList(el, report);
+            return list ? [list] : [];
+        }
+        case 'li': {
+            count(report.mappedElements, 'li outside a list to ul');
+            const item = convertListItem(el.childNodes, report);
+            return item ? [{ type: 'bulletList', content: [item] }] : [];
+        }
+        case 'blockquote': {
+            const content = convertBlocks(el.childNodes, report);
+            return content.length ? [{ type: 'blockquote', content }] : [];
+        }
+        case 'pre':
+            return convertPreformatted(el);
+        case 'table':
+            count(report.mappedElements, 'table to paragraphs');
+            return convertTable(el, report);
+        default:
+            if (!SILENT_TAGS.has(tag)) {
+                count(report.unwrappedElements, tag);
+            }
+            return convertBlocks(el.childNodes, report);
+    }
+}
+
+function convertList(el, report) {
+    const items = [];
+    let loose = [];
+
+    const flushLoose = () => {
+        const item = convertListItem(loose, report);
+        if (item) items.push(item);
+        loose = [];
+    };
+
+    for (const child of Array.from(el.childNodes)) {
+        if (child.nodeType === ELEMENT_NODE && child.tagName.toLowerCase() === 'li') {
+            flushLoose();
+            checkAttributes(child, 'li', report);
+            const item = convertListItem(child.childNodes, report);
+            if (item) items.push(item);
+        } else {
+            loose.push(child);
+        }
+    }
+    flushLoose();
+
+    if (items.length === 0) return null;
+
+    if (el.tagName.toLowerCase() === 'ol') {
+        const start = parseInt(el.getAttribute('start'), 10);
+        return createOrderedList(Number.isInteger(start) && start >= 0 ? start : 1, items);
+    }
+
+    return { type: 'bulletList', content: items };
+}
+
+function createOrderedList(start, items) {
+    return { type: 'orderedList', attrs: { start }, content: items };
+}
+
+function convertListItem(childNodes, report) {
+    return createListItem(convertBlocks(childNodes, report));
+}
+
+function createListItem(content) {
+    if (content.length === 0) return null;
+
+    // List items must start with a paragraph
+    if (content[0].type !== 'paragraph') {
+        content.unshift({ type: 'paragraph' });
+    }
+
+    return { type: 'listItem', content };
+}
+
+function convertPreformatted(el) {
+    const code = el.querySelector('code');
+    const language = getLanguageClass(el) || (code ? getLanguageClass(code) : null);
+    return createCodeBlock(el.textContent, language);
+}
+
+function getLanguageClass(el) {
+    const match = (el.getAttribute('class') || '').match(LANGUAGE_CLASS);
+    return match ? match[1] : null;
+}
+
+function createCodeBlock(text, language) {
+    if (!text || !text.trim()) return [];
+    return [{
+        type: 'codeBlock',
+        attrs: { language: language || null },
+        content: [{ type: 'text', text }]
+    }];
+}
+
+function convertTable(el, report) {
+    const rows = [];
+
+    for (const row of Array.from(el.querySelectorAll('tr'))) {
+        const cells = [];
+        for (const cell of Array.from(row.children)) {
+            const content = convertInlineChildren(cell, report);
+            if (content.length) cells.push(content);
+        }
+        if (cells.length === 0) continue;
+
+        const content = [];
+        cells.forEach((cell, index) => {
+            if (index > 0) content.push({ type: 'text', text: ' | ' });
+            content.push(...cell);
+        });
+        rows.push({ type: 'paragraph', content: normalizeInline(content) });
+    }
+
+    return rows;
+}
+
+function collectInline(el, report) {
+    const nodes = [];
+    for (const child of Array.from(el.childNodes)) {
+        nodes.push(...convertInline(child, [], report));
+    }
+    return nodes;
+}
+
+/**
+ * Inline content for places that cannot hold images, such as table cells
+ */
+function convertInlineChildren(el, report) {
+    const nodes = collectInline(el, report).filter(node => {
+        if (node.type !== 'image') return true;
+        count(report.droppedElements, 'img');
+        return false;
+    });
+    return normalizeInline(nodes);
+}
+
+/**
+ * Wrap inline nodes in a textblock, lifting images out as blocks of their own
+ */
+function inlineBlocks(nodes, type, attrs = null) {
+    const blocks = [];
+    let segment = [];
+    let afterImage = false;
+
+    const flush = (beforeImage) => {
+        const content = normalizeInline(segment);
+        if (content.length) {
+            // Spaces that were written next to the image stay with the text
+            if (afterImage && hasEdgeSpace(segment[0], /^\s/)) {
+                padText(content, 0, (text) => ' ' + text);
+            }
+            if (beforeImage && hasEdgeSpace(segment[segment.length - 1], /\s$/)) {
+                padText(content, content.length - 1, (text) => text + ' ');
+            }
+            blocks.push(attrs ? { type, attrs, content } : { type, content });
+        }
+        segment = [];
+    };
+
+    for (const node of nodes) {
+        if (node.type === 'image') {
+            flush(true);
+            blocks.push(node);
+            afterImage = true;
+        } else {
+            segment.push(node);
+        }
+    }
+
+    flush(false);
+    return blocks;
+}
+
+function hasEdgeSpace(node, pattern) {
+    return Boolean(node && node.type === 'text' && pattern.test(node.text));
+}
+
+function padText(content, index, pad) {
+    const node = content[index];
+    if (node.type === 'text') {
+        content[index] = { ...node, text: pad(node.text) };
+    }
+}
+
+function createImage(attrs) {
+    return {
+        type: 'image',
+        attrs: {
+            src: attrs.src,
+            alt: typeof attrs.alt === 'string' ? attrs.alt : null,
+            title: attrs.title || null,
+            caption: attrs.caption || null,
+            width: parseDimension(attrs.width),
+            height: parseDimension(attrs.height),
+            align: attrs.align || null
+        }
+    };
+}
+
+/**
+ * Read alignment back from the inline styles the exporter writes
+ */
+function getImageAlign(el) {
+    const style = (el.getAttribute('style') || '').toLowerCase().replace(/\s+/g, '');
+    if (style.includes('float:left')) return 'left';
+    if (style.includes('float:right')) return 'right';
+    if (style.includes('margin-left:auto') || style.includes('text-align:center')) return 'center';
+    return null;
+}
+
+function convertImage(el, report, extra = {}) {
+    checkAttributes(el, 'img', report);
+
+    const src = el.getAttribute('src') || '';
+    const validation = validateImageURL(src);
+
+    if (!validation.valid) {
+        report.rejectedURLs.push(src || 'image without a source');
+        return null;
+    }
+
+    return createImage({
+        src: validation.url,
+        alt: el.getAttribute('alt'),
+        title: el.getAttribute('title'),
+        width: el.getAttribute('width'),
+        height: el.getAttribute('height'),
+        align: getImageAlign(el),
+        ...extra
+    });
+}
+
+function convertFigure(el, report) {
+    const img = el.querySelector('img');
+    if (!img) return null;
+
+    const figcaption = el.querySelector('figcaption');
+    const caption = figcaption ? figcaption.textContent.replace(/\s+/g, ' ').trim() : '';
+    const extra = { caption };
+
+    const align = getImageAlign(el);
+    if (align) extra.align = align;
+
+    return convertImage(img, report, extra);
+}
+
+function convertInline(node, marks, report) {
+    if (node.nodeType === TEXT_NODE) {
+        const text = node.nodeValue.replace(/\s+/g, ' ');
+        return text ? [createText(text, marks)] : [];
+    }
+    if (node.nodeType !== ELEMENT_NODE) return [];
+
+    const tag = node.tagName.toLowerCase();
+
+    if (DROPPED_TAGS.has(tag)) {
+        count(report.droppedElements, tag);
+        return [];
+    }
+    if (tag === 'br') {
+        return [{ type: 'hardBreak' }];
+    }
+    if (tag === 'img') {
+        const image = convertImage(node, report);
+        return image ? [image] : [];
+    }
+
+    checkAttributes(node, tag, report);
+
+    let childMarks = marks;
+
+    if (INLINE_MARKS[tag]) {
+        childMarks = addMark(marks, { type: INLINE_MARKS[tag] });
+    } else if (tag === 'a') {
+        const href = node.getAttribute('href');
+        if (href) {
+            const validation = validateURL(href);
+            if (validation.valid) {
+                childMarks = addMark(marks, {
+                    type: 'link',
+                    attrs: createLinkAttrs({
+                        href: validation.url,
+                        title: node.getAttribute('title'),
+                        target: node.getAttribute('target'),
+                        rel: node.getAttribute('rel')
+                    })
+                });
+            } else {
+                report.rejectedURLs.push(href);
+            }
+        }
+    } else if (!SILENT_TAGS.has(tag)) {
+        count(report.unwrappedElements, tag);
+    }
+
+    const result = [];
+    for (const child of Array.from(node.childNodes)) {
+        result.push(...convertInline(child, childMarks, report));
+    }
+    return result;
+}
+
+function addMark(marks, mark) {
+    const rest = marks.filter(m => m.type !== mark.type);
+    return [...rest, mark];
+}
+
+function createText(text, marks) {
+    // Inline code excludes every other mark in the editor schema
+    let applied = marks.some(m => m.type === 'code')
+        ? marks.filter(m => m.type === 'code')
+        : marks;
+
+    applied = applied.slice().sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+
+    const node = { type: 'text' };
+    if (applied.length) {
+        node.marks = applied;
+    }
+    node.text = text;
+    return node;
+}
+
+function sameMarks(a, b) {
+    const left = JSON.stringify(a.marks || []);
+    const right = JSON.stringify(b.marks || []);
+    return left === right;
+}
+
+/**
+ * Collapse whitespace the way a browser would and merge adjacent text nodes
+ */
+function normalizeInline(nodes) {
+    const result = [];
+    let atLineStart = true;
+
+    for (const node of nodes) {
+        if (node.type !== 'text') {
+            trimTrailing(result);
+            result.push(node);
+            atLineStart = true;
+            continue;
+        }
+
+        let text = node.text;
+        if (atLineStart) {
+            text = text.replace(/^ +/, '');
+        }
+        if (!text) continue;
+
+        const prev = result[result.length - 1];
+        if (prev && prev.type === 'text') {
+            if (prev.text.endsWith(' ') && text.startsWith(' ')) {
+                text = text.slice(1);
+                if (!text) continue;
+            }
+            if (sameMarks(prev, node)) {
+                prev.text += text;
+                atLineStart = false;
+                continue;
+            }
+        }
+
+        result.push({ ...node, text });
+        atLineStart = false;
+    }
+
+    trimTrailing(result);
+
+    // Drop leading and trailing hard breaks
+    while (result.length && result[0].type === 'hardBreak') result.shift();
+    while (result.length && result[result.length - 1].type === 'hardBreak') result.pop();
+
+    return result;
+}
+
+function trimTrailing(result) {
+    while (result.length) {
+        const last = result[result.length - 1];
+        if (last.type !== 'text') return;
+
+        last.text = last.text.replace(/ +$/, '');
+        if (last.text) return;
+        result.pop();
+    }
+}
+
+// Markdown block patterns
+const MD = {
+    blank: /^\s*$/,
+    heading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+    fence: /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)/,
+    rule: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+    setext: /^ {0,3}(=+|-+)[ \t]*$/,
+    quote: /^ {0,3}> ?/,
+    listItem: /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/,
+    indentedCode: /^(?: {4}|\t)/,
+    tableDelimiter: /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/,
+    jumpBreak: /^ {0,3}<!--\s*more\s*-->\s*$/i,
+    htmlBlock: /^ {0,3}<\/?(?:p|div|h[1-6]|ul|ol|li|blockquote|pre|table|section|article|figure|img|br|hr)\b/i,
+    autolink: /^<((?:https?:|mailto:)[^\s<>]+)>/,
+    punctuation: /[!-/:-@[-`{-~]/,
+    wordChar: /[\p{L}\p{N}]/u
+};
+
+const MARKDOWN_SIGNALS = [
+    /^ {0,3}#{1,6}\s+\S/m,
+    /^ {0,3}(?:[-*+]|\d{1,9}[.)])\s+\S/m,
+    /^ {0,3}>\s?\S/m,
+    /^ {0,3}(?:```|~~~)/m,
+    /(\*\*|__)\S(?:.*?\S)?\1/,
+    /\[[^\]\n]+\]\([^)\s]+(?:\s+"[^"]*")?\)/,
+    /`[^`\n]+`/
+];
+
+/**
+ * Guess whether plain text was written as Markdown
+ */
+export function looksLikeMarkdown(text) {
+    if (typeof text !== 'string' || !text.trim()) return false;
+    return MARKDOWN_SIGNALS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Parse Markdown into Tiptap JSON limited to the editor schema
+ *
+ * Constructs the editor cannot represent degrade as follows: tables are kept
+ * as their Markdown source in a code block, strikethrough keeps its text,
+ * horizontal rules are removed and raw HTML blocks go through the HTML importer.
+ */
+export function parseMarkdown(markdown) {
+    const report = createReport();
+
+    if (typeof markdown !== 'string' || !markdown.trim()) {
+        return { json: { type: 'doc', content: [{ type: 'paragraph' }] }, report };
+    }
+
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = markdownBlocks(lines, report);
+
+    return {
+        json: {
+            type: 'doc',
+            content: blocks.length ? blocks : [{ type: 'paragraph' }]
+        },
+        report
+    };
+}
+
+function startsBlock(line) {
+    return MD.heading.test(line) ||
+        MD.fence.test(line) ||
+        MD.rule.test(line) ||
+        MD.jumpBreak.test(line) ||
+        MD.quote.test(line) ||
+        MD.htmlBlock.test(line) ||
+        (MD.listItem.test(line) && !MD.blank.test(line.replace(MD.listItem, '$4')));
+}
+
+function markdownBlocks(lines, report) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (MD.blank.test(line)) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(MD.fence);
+        if (fence) {
+            i = markdownFence(lines, i, fence[1], fence[2], blocks);
+            continue;
+        }
+
+        const heading = line.match(MD.heading);
+        if (heading) {
+            const hashes = heading[1].length;
+            const level = hashes <= 2 ? 2 : 3;
+            if (hashes !== level) {
+                count(report.mappedElements, 'h' + hashes + ' to h' + level);
+            }
+            blocks.push(...inlineBlocks(parseInlineMarkdown(heading[2] || '', [], report), 'heading', { level }));
+            i++;
+            continue;
+        }
+
+        if (MD.jumpBreak.test(line)) {
+            blocks.push(...createJumpBreak(report));
+            i++;
+            continue;
+        }
+
+        if (MD.rule.test(line)) {
+            count(report.droppedElements, 'horizontal rule');
+            i++;
+            continue;
+        }
+
+        if (MD.quote.test(line)) {
+            const inner = [];
+            while (i < lines.length && MD.quote.test(lines[i])) {
+                inner.push(lines[i].replace(MD.quote, ''));
+                i++;
+            }
+            const content = markdownBlocks(inner, report);
+            if (content.length) {
+                blocks.push({ type: 'blockquote', content });
+            }
+            continue;
+        }
+
+        if (MD.listItem.test(line)) {
+            i = markdownList(lines, i, blocks, report);
+            continue;
+        }
+
+        if (MD.indentedCode.test(line)) {
+            const code = [];
+            while (i < lines.length && (MD.indentedCode.test(lines[i]) || MD.blank.test(lines[i]))) {
+                code.push(lines[i].replace(MD.indentedCode, ''));
+                i++;
+            }
+            while (code.length && !code[code.length - 1].trim()) code.pop();
+            blocks.push(...createCodeBlock(code.join('\n'), null));
+            continue;
+        }
+
+        if (MD.htmlBlock.test(line)) {
+            const html = [];
+            while (i < lines.length && !MD.blank.test(lines[i])) {
+                html.push(lines[i]);
+                i++;
+            }
+            blocks.push(...htmlToBlocks(html.join('\n'), report));
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && MD.tableDelimiter.test(lines[i + 1]) &&
+            lines[i + 1].includes('-')) {
+            i = markdownTable(lines, i, blocks, report);
+            continue;
+        }
+
+        i = markdownParagraph(lines, i, blocks, report);
+    }
+
+    return blocks;
+}
+
+function markdownFence(lines, start, marker, info, blocks) {
+    const code = [];
+    let i = start + 1;
+
+    while (i < lines.length) {
+        const close = lines[i].match(MD.fence);
+        if (close && close[1][0] === marker[0] && close[1].length >= marker.length &&
+            MD.blank.test(lines[i].slice(lines[i].indexOf(close[1]) + close[1].length))) {
+            i++;
+            break;
+        }
+        code.push(lines[i]);
+        i++;
+    }
+
+    blocks.push(...createCodeBlock(code.join('\n'), info || null));
+    return i;
+}
+
+function markdownParagraph(lines, start, blocks, report) {
+    const text = [];
+    let i = start;
+
+    while (i < lines.length && !MD.blank.test(lines[i])) {
+        if (text.length > 0) {
+            const setext = lines[i].match(MD.setext);
+            if (setext) {
+                const isTitle = setext[1][0] === '=';
+                if (isTitle) {
+                    count(report.mappedElements, 'h1 to h2');
+                }
+                const nodes = parseInlineMarkdown(text.join('\n'), [], report);
+                blocks.push(...inlineBlocks(nodes, 'heading', { level: 2 }));
+                return i + 1;
+            }
+            if (startsBlock(lines[i])) break;
+        }
+        text.push(lines[i].replace(/^[ \t]+/, ''));
+        i++;
+    }
+
+    blocks.push(...inlineBlocks(parseInlineMarkdown(text.join('\n'), [], report), 'paragraph'));
+    return i;
+}
+
+function markdownList(lines, start, blocks, report) {
+    const first = lines[start].match(MD.listItem);
+    const ordered = /\d/.test(first[2]);
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const baseIndent = first[1].length;
+
+    const items = [];
+    let current = null;
+    let contentIndent = 0;
+    let previousBlank = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (MD.blank.test(line)) {
+            if (current) current.push('');
+            previousBlank = true;
+            i++;
+            continue;
+        }
+
+        const indent = line.match(/^ */)[0].length;
+        const item = line.match(MD.listItem);
+
+        if (item && item[1].length === baseIndent && /\d/.test(item[2]) === ordered) {
+            const spacing = item[3].length;
+            contentIndent = baseIndent + item[2].length + (spacing >= 1 && spacing <= 4 ? spacing : 1);
+            current = [item[4]];
+            items.push(current);
+            previousBlank = false;
+            i++;
+            continue;
+        }
+
+        if (indent >= contentIndent) {
+            current.push(line.slice(contentIndent));
+        } else if (!previousBlank && !startsBlock(line) && !item) {
+            // Lazy continuation of the item's last paragraph
+            current.push(line.trim());
+        } else {
+            break;
+        }
+
+        previousBlank = false;
+        i++;
+    }
+
+    const content = items
+        .map(itemLines => createListItem(markdownBlocks(itemLines, report)))
+        .filter(Boolean);
+
+    if (content.length) {
+        blocks.push(ordered ? createOrderedList(startNumber, content) : { type: 'bulletList', content });
+    }
+
+    return i;
+}
+
+// The schema has no tables; their source is kept as it was rather than
+// flattened into rows that lose the cell boundaries
+function markdownTable(lines, start, blocks, report) {
+    const rows = [lines[start], lines[start + 1]];
+    let i = start + 2;
+
+    while (i < lines.length && !MD.blank.test(lines[i]) && lines[i].includes('|')) {
+        rows.push(lines[i]);
+        i++;
+    }
+
+    count(report.mappedElements, 'table (not supported) to Markdown source');
+    blocks.push(...createCodeBlock(rows.join('\n'), 'markdown'));
+    return i;
+}
+
+/**
+ * Find where a delimiter run closes, skipping escapes and code spans
+ */
+function findCloser(src, from, ch, length) {
+    let i = from;
+
+    while (i < src.length) {
+        const c = src[i];
+
+        if (c === '\\') {
+            i += 2;
+            continue;
+        }
+
+        if (c === '`') {
+            const run = src.slice(i).match(/^`+/)[0];
+            const end = src.indexOf(run, i + run.length);
+            i = end === -1 ? i + run.length : end + run.length;
+            continue;
+        }
+
+        if (c === ch) {
+            let end = i;
+            while (end < src.length && src[end] === ch) end++;
+
+            const runLength = end - i;
+            const before = src[i - 1];
+            const after = src[end];
+            const closes = runLength >= length && before && !/\s/.test(before) &&
+                !(ch === '_' && after && MD.wordChar.test(after));
+
+            if (closes) return end - length;
+            i = end;
+            continue;
+        }
+
+        i++;
+    }
+
+    return -1;
+}
+
+function findBracketEnd(src, from) {
+    let depth = 0;
+
+    for (let i = from; i < src.length; i++) {
+        const c = src[i];
+        if (c === '\\') {
+            i++;
+        } else if (c === '[') {
+            depth++;
+        } else if (c === ']') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Parse "(destination "title")" following a link label
+ */
+function parseLinkTarget(src, from) {
+    if (src[from] !== '(') return null;
+
+    const match = src.slice(from).match(/^\(\s*(<[^>\n]*>|(?:\\.|[^\s()\\]|\((?:\\.|[^\s()\\])*\))*)(?:\s+("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\([^)]*\)))?\s*\)/);
+    if (!match) return null;
+
+    let href = match[1];
+    if (href.startsWith('<')) {
+        href = href.slice(1, -1);
+    }
+    href = unescapeMarkdown(href);
+
+    const title = match[2] ? unescapeMarkdown(match[2].slice(1, -1)) : null;
+
+    return { href, title, end: from + match[0].length };
+}
+
+function parseInlineMarkdown(src, marks, report) {
+    const nodes = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) {
+            nodes.push(createText(buffer, marks));
+            buffer = '';
+        }
+    };
+
+    while (i < src.length) {
+        const c = src[i];
+
+        // Backslash escapes and backslash hard breaks
+        if (c === '\\') {
+            const next = src[i + 1];
+            if (next === '\n') {
+                flush();
+                nodes.push({ type: 'hardBreak' });
+                i += 2;
+                continue;
+            }
+            if (next && MD.punctuation.test(next)) {
+                buffer += next;
+                i += 2;
+                continue;
+            }
+            buffer += c;
+            i++;
+            continue;
+        }
+
+        if (c === '\n') {
+            if (/ {2,}$/.test(buffer)) {
+                buffer = buffer.replace(/ +$/, '');
+                flush();
+                nodes.push({ type: 'hardBreak' });
+            } else {
+                buffer = buffer.replace(/ +$/, '') + ' ';
+            }
+            i++;
+            continue;
+        }
+
+        if (c === '`') {
+            const run = src.slice(i).match(/^`+/)[0];
+            const end = src.indexOf(run, i + run.length);
+            if (end === -1 || src[end + run.length] === '`') {
+                buffer += run;
+                i += run.length;
+                continue;
+            }
+            let code = src.slice(i + run.length, end).replace(/\n/g, ' ');
+            if (code.length > 2 && code.startsWith(' ') && code.endsWith(' ') && code.trim()) {
+                code = code.slice(1, -1);
+            }
+            flush();
+            nodes.push(createText(code, addMark(marks, { type: 'code' })));
+            i = end + run.length;
+            continue;
+        }
+
+        if (c === '<') {
+            const auto = src.slice(i).match(MD.autolink);
+            if (auto) {
+                flush();
+                const validation = validateURL(auto[1]);
+                const linkMarks = validation.valid
+                    ? addMark(marks, { type: 'link', attrs: { href: validation.url } })
+                    : marks;
+                if (!validation.valid) report.rejectedURLs.push(auto[1]);
+                nodes.push(createText(auto[1], linkMarks));
+                i += auto[0].length;
+                continue;
+            }
+        }
+
+        const isImage = c === '!' && src[i + 1] === '[';
+        if (c === '[' || isImage) {
+            const labelStart = isImage ? i + 1 : i;
+            const labelEnd = findBracketEnd(src, labelStart);
+            const target = labelEnd === -1 ? null : parseLinkTarget(src, labelEnd + 1);
+
+            if (target) {
+                flush();
+                const label = src.slice(labelStart + 1, labelEnd);
+                const validation = validateURL(target.href);
+
+                if (isImage) {
+                    // The exporter writes image captions as the Markdown title
+                    const image = validateImageURL(target.href);
+                    const alt = unescapeMarkdown(label);
+                    if (image.valid) {
+                        nodes.push(createImage({ src: image.url, alt, caption: target.title }));
+                    } else {
+                        report.rejectedURLs.push(target.href);
+                        if (alt.trim()) nodes.push(createText(alt, marks));
+                    }
+                } else {
+                    let linkMarks = marks;
+                    if (validation.valid) {
+                        linkMarks = addMark(marks, {
+                            type: 'link',
+                            attrs: createLinkAttrs({ href: validation.url, title: target.title })
+                        });
+                    } else {
+                        report.rejectedURLs.push(target.href);
+                    }
+                    nodes.push(...parseInlineMarkdown(label, linkMarks, report));
+                }
+
+                i = target.end;
+                continue;
+            }
+        }
+
+        if (c === '~' && src[i + 1] === '~') {
+            const close = findCloser(src, i + 3, '~', 2);
+            if (close !== -1 && !/\s/.test(src[i + 2])) {
+                flush();
+                count(report.unwrappedElements, 'strikethrough');
+                nodes.push(...parseInlineMarkdown(src.slice(i + 2, close), marks, report));
+                i = close + 2;
+                continue;
+            }
+        }
+
+        if (c === '*' || c === '_') {
+            let end = i;
+            while (end < src.length && src[end] === c) end++;
+
+            const runLength = end - i;
+            const after = src[end];
+            const before = src[i - 1];
+            const canOpen = after && !/\s/.test(after) &&
+                !(c === '_' && before && MD.wordChar.test(before));
+
+            if (canOpen) {
+                const strong = runLength >= 2;
+                const length = strong ? 2 : 1;
+                const close = findCloser(src, i + length + 1, c, length);
+
+                if (close !== -1) {
+                    flush();
+                    const mark = { type: strong ? 'bold' : 'italic' };
+                    const inner = src.slice(i + length, close);
+                    nodes.push(...parseInlineMarkdown(inner, addMark(marks, mark), report));
+                    i = close + length;
+                    continue;
+                }
+            }
+
+            buffer += src.slice(i, end);
+            i = end;
+            continue;
+        }
+
+        buffer += c;
+        i++;
+    }
+
+    flush();
+    return nodes;
+}
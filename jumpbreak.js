@@ -0,0 +1,115 @@
+/* jumpbreak.js */
+
+/**
+ * Jump Break Extension Module
+ * @author Oathan Rex
+ */
+
+export const JUMP_BREAK_MARKUP = '<!--more-->';
+
+const NODE_NAME = 'jumpBreak';
+
+/**
+ * Positions of every jump break in a ProseMirror document
+ */
+function findJumpBreaks(doc) {
+    const positions = [];
+    doc.descendants((node, pos) => {
+        if (node.type.name === NODE_NAME) {
+            positions.push(pos);
+            return false;
+        }
+        return true;
+    });
+    return positions;
+}
+
+/**
+ * Blogger's "Read more" split point, limited to one per document
+ */
+export function createJumpBreakExtension({ Node, Plugin, PluginKey }) {
+    return Node.create({
+        name: NODE_NAME,
+        group: 'block',
+        atom: true,
+        selectable: true,
+        draggable: true,
+
+        parseHTML() {
+            return [{ tag: 'div[data-jump-break]' }];
+        },
+
+        renderHTML() {
+            return [
+                'div',
+                { 'data-jump-break': '', class: 'jump-break', contenteditable: 'false' },
+                ['span', { class: 'jump-break-label' }, 'Read more']
+            ];
+        },
+
+        addCommands() {
+            return {
+                setJumpBreak: () => ({ state, commands }) => {
+                    if (findJumpBreaks(state.doc).length > 0) return false;
+                    return commands.insertContent({ type: NODE_NAME });
+                }
+            };
+        },
+
+        addKeyboardShortcuts() {
+            return {
+                'Mod-Alt-Enter': () => this.editor.commands.setJumpBreak()
+            };
+        },
+
+        // Pasting or dragging can bring in a second break; the first is kept,
+        // in the same transaction so undo never returns to two breaks
+        addProseMirrorPlugins() {
+            return [
+                new Plugin({
+                    key: new PluginKey('jumpBreakLimit'),
+                    appendTransaction: (transactions, oldState, newState) => {
+                        if (!transactions.some(tr => tr.docChanged)) return null;
+
+                        const positions = findJumpBreaks(newState.doc);
+                        if (positions.length < 2) return null;
+
+                        const tr = newState.tr;
+                        for (const pos of positions.slice(1).reverse()) {
+                            tr.delete(pos, pos + 1);
+                        }
+                        return tr;
+                    }
+                })
+            ];
+        }
+    });
+}
+
+/**
+ * Whether a jump break appears before any paragraph with text
+ */
+export function isJumpBreakMisplaced(json) {
+    return findFirst(json) === NODE_NAME;
+}
+
+// Walks the document in order, returning whichever comes first
+function findFirst(node) {
+    if (!node) return null;
+    if (node.type === NODE_NAME) return NODE_NAME;
+    if (node.type === 'paragraph') return hasText(node) ? 'paragraph' : null;
+    if (!Array.isArray(node.content)) return null;
+
+    for (const child of node.content) {
+        const found = findFirst(child);
+        if (found) return found;
+    }
+    return null;
+}
+
+function hasText(node) {
+    if (node.type === 'text') {
+        return typeof node.text === 'string' && node.text.trim().length > 0;
+    }
+    return Array.isArray(node.content) && node.content.some(hasText);
+}
@@ -0,0 +1,105 @@
+/* link.js */
+
+/**
+ * Link Extension Module
+ * @author Oathan Rex
+ */
+
+export const LinkRel = Object.freeze({
+    NOFOLLOW: 'nofollow',
+    SPONSORED: 'sponsored',
+    UGC: 'ugc'
+});
+
+const REL_FLAGS = Object.values(LinkRel);
+
+export const LINK_TARGET_BLANK = '_blank';
+
+/**
+ * Keep the rel flags an author can set, in a fixed order, or null
+ */
+export function parseRel(value) {
+    if (typeof value !== 'string') return null;
+
+    const tokens = value.toLowerCase().split(/\s+/);
+    const flags = REL_FLAGS.filter(flag => tokens.includes(flag));
+    return flags.length ? flags.join(' ') : null;
+}
+
+export function parseTarget(value) {
+    return value === LINK_TARGET_BLANK ? LINK_TARGET_BLANK : null;
+}
+
+/**
+ * rel as exported; links opening a new tab get noopener, and noreferrer unless the author lets the referrer through
+ */
+export function getExportRel(attrs) {
+    const flags = parseRel(attrs && attrs.rel);
+    const tokens = flags ? flags.split(' ') : [];
+
+    if (attrs && parseTarget(attrs.target)) {
+        tokens.push('noopener');
+        if (attrs.sendReferrer !== true) tokens.push('noreferrer');
+    }
+    return tokens.length ? tokens.join(' ') : null;
+}
+
+/**
+ * A new-tab link whose rel leaves out noreferrer was saved with the referrer allowed
+ */
+function parseSendReferrer(element) {
+    if (!parseTarget(element.getAttribute('target'))) return null;
+
+    const tokens = (element.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+    return tokens.includes('noreferrer') ? null : true;
+}
+
+/**
+ * Link mark attributes without empty values, so stored JSON stays minimal
+ */
+export function createLinkAttrs({ href, title = null, target = null, rel = null, sendReferrer = null }) {
+    const attrs = { href };
+    const text = typeof title === 'string' ? title.trim() : '';
+
+    if (text) attrs.title = text;
+    if (parseTarget(target)) attrs.target = LINK_TARGET_BLANK;
+    if (attrs.target && sendReferrer === true) attrs.sendReferrer = true;
+    if (parseRel(rel)) attrs.rel = parseRel(rel);
+    return attrs;
+}
+
+/**
+ * Extend the Tiptap Link mark with a title; target and rel are per link instead of global
+ */
+export function createLinkExtension(Link) {
+    return Link.extend({
+        addAttributes() {
+            return {
+                ...this.parent?.(),
+                target: {
+                    default: null,
+                    parseHTML: element => parseTarget(element.getAttribute('target'))
+                },
+                rel: {
+                    default: null,
+                    parseHTML: element => parseRel(element.getAttribute('rel'))
+                },
+                title: {
+                    default: null,
+                    parseHTML: element => element.getAttribute('title') || null
+                },
+                sendReferrer: {
+                    default: null,
+                    parseHTML: parseSendReferrer,
+                    renderHTML: () => ({})
+                }
+            };
+        }
+    }).configure({
+        openOnClick: false,
+        HTMLAttributes: {
+            target: null,
+            rel: null
+        }
+    });
+}
@@ -0,0 +1,202 @@
+/* linkbubble.js */
+
+/**
+ * Link Bubble Module
+ * @author Oathan Rex
+ */
+
+import { documentScope } from './utils.js';
+
+export const LinkBubbleAction = Object.freeze({
+    EDIT: 'edit',
+    OPEN: 'open',
+    COPY: 'copy',
+    UNLINK: 'unlink'
+});
+
+const OFFSET_Y = 6;
+
+/**
+ * Link Bubble Controller
+ *
+ * A small toolbar shown under the link at the cursor. It follows the editor
+ * in DOM order, so Tab reaches it from the text; arrow keys move between its
+ * buttons and Escape returns to the editor.
+ */
+export class LinkBubbleController {
+    constructor() {
+        this.element = null;
+        this.urlEl = null;
+        this.anchorEl = null;
+        this.buttons = [];
+        this.href = '';
+        this.callbacks = {};
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleFocusOut = this.handleFocusOut.bind(this);
+    }
+
+    initialize(options = {}) {
+        const scope = options.scope || documentScope;
+        this.element = scope.byId('link-bubble');
+        this.urlEl = scope.byId('link-bubble-url');
+
+        if (!this.element) return false;
+
+        this.anchorEl = options.anchorElement || null;
+        this.buttons = Array.from(this.element.querySelectorAll('[data-link-action]'));
+        this.callbacks = {
+            onAction: options.onAction || null,
+            onDismiss: options.onDismiss || null
+        };
+
+        this.element.addEventListener('click', this.handleClick);
+        this.element.addEventListener('keydown', this.handleKeyDown);
+        this.element.addEventListener('mousedown', this.handleMouseDown);
+        this.element.addEventListener('focusout', this.handleFocusOut);
+
+        return true;
+    }
+
+    isVisible() {
+        return Boolean(this.element && !this.element.hidden);
+    }
+
+    contains(node) {
+        return Boolean(this.element && node && this.element.contains(node));
+    }
+
+    /**
+     * Show the bubble for a URL below viewport coordinates from the editor
+     */
+    show(href, coords) {
+        if (!this.element) return;
+
+        if (href !== this.href) {
+            this.href = href;
+            if (this.urlEl) {
+                this.urlEl.textContent = href;
+                this.urlEl.title = href;
+            }
+        }
+
+        const wasHidden = this.element.hidden;
+        this.element.hidden = false;
+        if (wasHidden) {
+            this.resetRovingFocus();
+        }
+
+        this.position(coords);
+    }
+
+    hide() {
+        if (!this.element || this.element.hidden) return;
+
+        this.element.hidden = true;
+        this.href = '';
+    }
+
+    /**
+     * Place the bubble within its positioned container, clamped to its width
+     */
+    position(coords) {
+        const container = this.element.offsetParent;
+        if (!container || !coords) return;
+
+        const bounds = container.getBoundingClientRect();
+        const maxLeft = Math.max(0, container.clientWidth - this.element.offsetWidth);
+        const left = Math.min(Math.max(0, coords.left - bounds.left + container.scrollLeft), maxLeft);
+        const top = coords.bottom - bounds.top + container.scrollTop + OFFSET_Y;
+
+        this.element.style.left = Math.round(left) + 'px';
+        this.element.style.top = Math.round(top) + 'px';
+    }
+
+    focus() {
+        const target = this.buttons.find(btn => btn.tabIndex === 0) || this.buttons[0];
+        if (this.isVisible() && target) {
+            target.focus();
+        }
+    }
+
+    resetRovingFocus() {
+        this.buttons.forEach((btn, i) => {
+            btn.tabIndex = i === 0 ? 0 : -1;
+        });
+    }
+
+    moveFocus(btn) {
+        for (const other of this.buttons) {
+            other.tabIndex = other === btn ? 0 : -1;
+        }
+        btn.focus();
+    }
+
+    handleClick(e) {
+        const btn = e.target.closest('[data-link-action]');
+        if (!btn || !this.href) return;
+
+        if (typeof this.callbacks.onAction === 'function') {
+            this.callbacks.onAction(btn.getAttribute('data-link-action'), this.href);
+        }
+    }
+
+    // Arrow keys, Home and End move between buttons, following the WAI-ARIA toolbar pattern
+    handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            if (typeof this.callbacks.onDismiss === 'function') {
+                this.callbacks.onDismiss();
+            }
+            return;
+        }
+
+        const index = this.buttons.indexOf(e.target);
+        if (index === -1) return;
+
+        const count = this.buttons.length;
+        let next = null;
+
+        if (e.key === 'ArrowRight') next = this.buttons[(index + 1) % count];
+        else if (e.key === 'ArrowLeft') next = this.buttons[(index - 1 + count) % count];
+        else if (e.key === 'Home') next = this.buttons[0];
+        else if (e.key === 'End') next = this.buttons[count - 1];
+
+        if (next) {
+            e.preventDefault();
+            this.moveFocus(next);
+        }
+    }
+
+    // Clicking a button must not blur the editor, or the bubble would close first
+    handleMouseDown(e) {
+        if (e.target.closest('[data-link-action]')) {
+            e.preventDefault();
+        }
+    }
+
+    handleFocusOut(e) {
+        const next = e.relatedTarget;
+        if (this.contains(next) || (this.anchorEl && next && this.anchorEl.contains(next))) return;
+
+        this.hide();
+    }
+
+    destroy() {
+        if (this.element) {
+            this.element.removeEventListener('click', this.handleClick);
+            this.element.removeEventListener('keydown', this.handleKeyDown);
+            this.element.removeEventListener('mousedown', this.handleMouseDown);
+            this.element.removeEventListener('focusout', this.handleFocusOut);
+        }
+
+        this.element = null;
+        this.urlEl = null;
+        this.anchorEl = null;
+        this.buttons = [];
+        this.href = '';
+        this.callbacks = {};
+    }
+}
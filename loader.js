@@ -0,0 +1,353 @@
+/* loader.js */
+
+/**
+ * Module Loader
+ * @author Oathan Rex
+ */
+
+import { retry, timeout } from './utils.js';
+
+export const TIPTAP_VERSION = '2.1.13';
+
+// Packages the editor needs, keyed by the name each source uses for them
+export const TIPTAP_PACKAGES = Object.freeze({
+    core: '@tiptap/core',
+    starterKit: '@tiptap/starter-kit',
+    link: '@tiptap/extension-link',
+    image: '@tiptap/extension-image',
+    placeholder: '@tiptap/extension-placeholder'
+});
+
+// ProseMirror entry points for the editor's own plugins. Loaded separately they
+// could be a second copy, so CDN sources take them from wherever @tiptap/core
+// imports them; an import map resolves them as it does for core.
+const PM_ENTRY_POINTS = Object.freeze({
+    pmState: '@tiptap/pm/state',
+    pmView: '@tiptap/pm/view'
+});
+
+// "@tiptap/pm/state" however a CDN spells it: pinned, ranged, by build target
+const PM_SPECIFIER = /@tiptap\/pm(?:@[^/"']+)?\/(?:[^"']*\/)?(state|view)(?:\.m?js|\/|\?|$)/;
+const MODULE_SPECIFIER = /(?:\bfrom|\bimport)\s*\(?\s*["']([^"']+)["']/g;
+
+export const ModuleSourceType = Object.freeze({
+    CDN: 'cdn',
+    VENDOR: 'vendor',
+    IMPORT_MAP: 'importmap'
+});
+
+// ESM builds on public CDNs; esm.sh is told to share one core between the extensions
+const MIRRORS = {
+    jsdelivr: (pkg, version) => 'https://cdn.jsdelivr.net/npm/' + pkg + '@' + version + '/+esm',
+    unpkg: (pkg, version) => 'https://unpkg.com/' + pkg + '@' + version + '?module',
+    'esm.sh': (pkg, version) => 'https://esm.sh/' + pkg + '@' + version +
+        (pkg === TIPTAP_PACKAGES.core ? '' : '?deps=' + TIPTAP_PACKAGES.core + '@' + version)
+};
+
+export const DEFAULT_MODULE_SOURCES = Object.freeze(['jsdelivr', 'unpkg', 'esm.sh']);
+
+// Message the module cache service worker listens for
+export const CACHE_MESSAGE = 'content-editor:cache-modules';
+
+const DIGESTS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+/**
+ * Normalize the configured sources, in order. Each entry is one of:
+ *   'jsdelivr' | 'unpkg' | 'esm.sh'                 a public mirror
+ *   'importmap'                                      bare specifiers mapped by the page
+ *   { mirror, version }                              a mirror at another version
+ *   { name, urls: { core, starterKit, ... } }        any other host, a URL per TIPTAP_PACKAGES key
+ *   { type: 'vendor', url, integrity }               one self-contained local bundle exporting
+ *                                                    Editor, Node, Extension, StarterKit, Link,
+ *                                                    Image, Placeholder, Plugin, PluginKey,
+ *                                                    Decoration, DecorationSet
+ * Integrity is an SRI string such as "sha384-..." and is only taken for a
+ * vendored bundle: the checked bytes are what runs. CDN packages import
+ * further files that cannot be checked, so a CDN source with integrity is
+ * refused; pages that need pinned CDN hashes declare them in their import
+ * map's "integrity" field, which the browser enforces.
+ */
+export function resolveModuleSources(sources = DEFAULT_MODULE_SOURCES) {
+    const resolved = [];
+
+    for (const entry of sources || []) {
+        const source = resolveSource(typeof entry === 'string' ? { mirror: entry } : entry);
+        if (source) {
+            resolved.push(source);
+        } else {
+            console.warn('Ignoring invalid module source:', entry);
+        }
+    }
+    return resolved;
+}
+
+function resolveSource(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+
+    if (entry.type === ModuleSourceType.VENDOR) {
+        if (typeof entry.url !== 'string' || !entry.url) return null;
+        return {
+            name: entry.name || 'local bundle',
+            type: ModuleSourceType.VENDOR,
+            urls: { bundle: entry.url },
+            integrity: typeof entry.integrity === 'string' ? { bundle: entry.integrity } : {}
+        };
+    }
+
+    if (entry.type === ModuleSourceType.IMPORT_MAP || entry.mirror === ModuleSourceType.IMPORT_MAP) {
+        return {
+            name: entry.name || 'import map',
+            type: ModuleSourceType.IMPORT_MAP,
+            urls: { ...TIPTAP_PACKAGES, ...PM_ENTRY_POINTS },
+            integrity: {}
+        };
+    }
+
+    let urls = entry.urls;
+    if (entry.mirror) {
+        const mirror = MIRRORS[entry.mirror];
+        if (!mirror) return null;
+
+        const version = entry.version || TIPTAP_VERSION;
+        urls = {};
+        for (const [key, pkg] of Object.entries(TIPTAP_PACKAGES)) {
+            urls[key] = mirror(pkg, version);
+        }
+    }
+
+    if (!urls || Object.keys(TIPTAP_PACKAGES).some(key => typeof urls[key] !== 'string')) return null;
+
+    if (entry.integrity) {
+        console.warn('Integrity is only enforced for a vendored bundle or an import map, not for ' +
+            (entry.name || entry.mirror));
+        return null;
+    }
+
+    return {
+        name: entry.name || entry.mirror,
+        type: ModuleSourceType.CDN,
+        urls: { ...urls },
+        integrity: {}
+    };
+}
+
+function toBase64(buffer) {
+    let binary = '';
+    for (const byte of new Uint8Array(buffer)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Fetch a module and compare it with its SRI hashes; any one matching is
+ * enough. Resolves with the checked bytes.
+ */
+async function fetchVerified(url, expected) {
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+        throw new Error('HTTP ' + response.status + ' for ' + url);
+    }
+
+    const body = await response.arrayBuffer();
+    for (const hash of expected.split(/\s+/)) {
+        const match = /^(sha256|sha384|sha512)-(.+)$/.exec(hash);
+        if (!match) continue;
+
+        const digest = await crypto.subtle.digest(DIGESTS[match[1]], body);
+        if (toBase64(digest) === match[2]) return body;
+    }
+
+    const error = new Error('Integrity check failed for ' + url);
+    error.integrity = true;
+    throw error;
+}
+
+async function importModule(url, integrity, timeoutMs) {
+    const load = async () => {
+        if (!integrity) return import(url);
+
+        // Run the bytes that were checked rather than fetching the URL again
+        const body = await fetchVerified(url, integrity);
+        const blobURL = URL.createObjectURL(new Blob([body], { type: 'text/javascript' }));
+        try {
+            return await import(blobURL);
+        } finally {
+            URL.revokeObjectURL(blobURL);
+        }
+    };
+    return Promise.race([load(), timeout(timeoutMs, 'Module load timeout: ' + url)]);
+}
+
+// A module specifier resolved against the module that contains it; bare ones stay bare
+function resolveSpecifier(specifier, base) {
+    return /^[./]|^[a-z][a-z0-9+.-]*:/i.test(specifier) ? new URL(specifier, base).href : specifier;
+}
+
+/**
+ * The URLs @tiptap/core imports its ProseMirror state and view from, following
+ * the re-export stubs some CDNs put in front of the real module
+ */
+async function findProseMirrorURLs(url, depth = 0) {
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+        throw new Error('HTTP ' + response.status + ' for ' + url);
+    }
+
+    const base = response.url || url;
+    const code = await response.text();
+    const found = {};
+    const nested = [];
+
+    for (const [, specifier] of code.matchAll(MODULE_SPECIFIER)) {
+        const match = PM_SPECIFIER.exec(specifier);
+        if (match) {
+            found[match[1] === 'state' ? 'pmState' : 'pmView'] = resolveSpecifier(specifier, base);
+        } else if (specifier.includes(TIPTAP_PACKAGES.core)) {
+            nested.push(resolveSpecifier(specifier, base));
+        }
+    }
+
+    if (found.pmState && found.pmView) return found;
+    if (depth < 2) {
+        for (const next of nested) {
+            const deeper = await findProseMirrorURLs(next, depth + 1);
+            if (deeper) return deeper;
+        }
+    }
+    if (depth) return null;
+    throw new Error('ProseMirror imports not found in ' + url);
+}
+
+async function loadSource(source, timeoutMs) {
+    const entries = Object.entries(source.urls);
+    const loaded = await Promise.all(entries.map(([key, url]) =>
+        importModule(url, source.integrity[key], timeoutMs)
+    ));
+    const byKey = Object.fromEntries(entries.map(([key], i) => [key, loaded[i]]));
+
+    if (!byKey.bundle && !byKey.pmState) {
+        const pm = await Promise.race([
+            findProseMirrorURLs(source.urls.core),
+            timeout(timeoutMs, 'Module load timeout: ' + source.urls.core)
+        ]);
+        [byKey.pmState, byKey.pmView] = await Promise.all([
+            importModule(pm.pmState, null, timeoutMs),
+            importModule(pm.pmView, null, timeoutMs)
+        ]);
+    }
+
+    const bundle = byKey.bundle;
+    const modules = {
+        Editor: (bundle || byKey.core).Editor,
+        Node: (bundle || byKey.core).Node,
+        Extension: (bundle || byKey.core).Extension,
+        StarterKit: (bundle || byKey.starterKit).StarterKit,
+        Link: (bundle || byKey.link).Link,
+        Image: (bundle || byKey.image).Image,
+        Placeholder: (bundle || byKey.placeholder).Placeholder,
+        Plugin: (bundle || byKey.pmState).Plugin,
+        PluginKey: (bundle || byKey.pmState).PluginKey,
+        Decoration: (bundle || byKey.pmView).Decoration,
+        DecorationSet: (bundle || byKey.pmView).DecorationSet
+    };
+
+    if (!modules.Editor || !modules.StarterKit || !modules.Plugin || !modules.DecorationSet) {
+        throw new Error('Invalid module structure from ' + source.name);
+    }
+    return modules;
+}
+
+/**
+ * Try each source in order, retrying network failures, and resolve with the
+ * modules and the source that provided them. onStatus hears which source is
+ * being tried. The error thrown after the last source lists every source tried.
+ */
+export async function loadEditorModules(sources, options = {}) {
+    const { timeoutMs = 15000, attempts = 3, delay = 1000, onStatus = null } = options;
+    const status = (message) => {
+        if (onStatus) onStatus(message);
+    };
+    const tried = [];
+
+    for (const source of sources) {
+        status('Loading editor from ' + source.name + '...');
+
+        try {
+            const modules = await retry(() => loadSource(source, timeoutMs), {
+                attempts,
+                delay,
+                shouldRetry: (error) => !error.integrity,
+                onRetry: (attempt) => {
+                    status('Retrying ' + source.name + '... (attempt ' + (attempt + 1) + ' of ' + attempts + ')');
+                }
+            });
+            return { modules, source };
+        } catch (error) {
+            console.warn('Failed to load from ' + source.name + ':', error);
+            tried.push(source.name);
+        }
+    }
+
+    const error = new Error('No module source could be loaded');
+    error.sources = tried;
+    throw error;
+}
+
+/**
+ * Register the service worker that keeps loaded modules for offline use
+ */
+export function registerModuleCache(scriptURL) {
+    if (!scriptURL || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+        return Promise.resolve(null);
+    }
+
+    return navigator.serviceWorker.register(scriptURL).catch(error => {
+        console.warn('Module cache service worker failed to register:', error);
+        return null;
+    });
+}
+
+/**
+ * Ask the service worker to keep every file a source loaded, including the
+ * modules its packages imported in turn
+ */
+export function cacheLoadedModules(source) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+    const urls = new Set();
+    const origins = new Set();
+    for (const url of Object.values(source.urls)) {
+        const resolved = resolveModuleURL(url);
+        if (!resolved) continue;
+
+        urls.add(resolved);
+        // A local bundle is self-contained; CDN packages import more files from their host
+        const origin = new URL(resolved).origin;
+        if (origin !== location.origin) origins.add(origin);
+    }
+
+    if (typeof performance !== 'undefined' && performance.getEntriesByType) {
+        for (const entry of performance.getEntriesByType('resource')) {
+            if (origins.has(new URL(entry.name).origin)) urls.add(entry.name);
+        }
+    }
+
+    navigator.serviceWorker.ready.then(registration => {
+        if (registration.active) {
+            registration.active.postMessage({ type: CACHE_MESSAGE, urls: Array.from(urls) });
+        }
+    });
+}
+
+// Absolute URL of a module, following the page's import map for bare specifiers
+function resolveModuleURL(url) {
+    try {
+        if (!/^[./]|^[a-z][a-z0-9+.-]*:/i.test(url)) {
+            return typeof import.meta.resolve === 'function' ? import.meta.resolve(url) : null;
+        }
+        return new URL(url, document.baseURI).href;
+    } catch (error) {
+        return null;
+    }
+}
@@ -5,7 +5,10 @@
  * @author Oathan Rex
  */
 
-import { validateURL } from './utils.js';
+import { validateURL, validateImageURL, documentScope } from './utils.js';
+import { parseDimension, parseAlign } from './image.js';
+import { parseRel, LINK_TARGET_BLANK } from './link.js';
+import { formatShortcut, shortcutFromEvent, isMacPlatform } from './shortcuts.js';
 
 /**
  * Focus Trap for accessibility
@@ -19,19 +22,25 @@ class FocusTrap {
     }
 
     activate() {
-        const focusables = this.container.querySelectorAll(
-            'button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])'
-        );
+        this.updateBounds();
 
-        if (focusables.length === 0) return;
-
-        this.firstEl = focusables[0];
-        this.lastEl = focusables[focusables.length - 1];
+        if (!this.firstEl) return;
 
         this.container.addEventListener('keydown', this.handleKeyDown);
         this.firstEl.focus();
     }
 
+    // Recomputed on each Tab so fields shown or hidden while open are respected
+    updateBounds() {
+        const focusables = Array.from(this.container.querySelectorAll(
+            'button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+            'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+        )).filter(el => !el.hidden && !el.closest('[hidden]'));
+
+        this.firstEl = focusables.length ? focusables[0] : null;
+        this.lastEl = focusables.length ? focusables[focusables.length - 1] : null;
+    }
+
     deactivate() {
         this.container.removeEventListener('keydown', this.handleKeyDown);
     }
@@ -39,6 +48,9 @@ class FocusTrap {
     handleKeyDown(e) {
         if (e.key !== 'Tab') return;
 
+        this.updateBounds();
+        if (!this.firstEl) return;
+
         if (e.shiftKey) {
             if (document.activeElement === this.firstEl) {
                 e.preventDefault();
@@ -54,64 +66,40 @@ class FocusTrap {
 }
 
 /**
- * Link Modal Controller
+ * Base Modal Controller
  */
-export class LinkModal {
+class ModalController {
     constructor() {
         this.overlay = null;
         this.modal = null;
-        this.urlInput = null;
-        this.errorEl = null;
-        this.cancelBtn = null;
-        this.confirmBtn = null;
         this.focusTrap = null;
         this.previousFocus = null;
-        this.onConfirm = null;
         this.isOpen = false;
 
-        this.handleConfirm = this.handleConfirm.bind(this);
-        this.handleCancel = this.handleCancel.bind(this);
-        this.handleKeyDown = this.handleKeyDown.bind(this);
         this.handleOverlayClick = this.handleOverlayClick.bind(this);
-        this.handleInput = this.handleInput.bind(this);
+        this.handleModalKeyDown = this.handleModalKeyDown.bind(this);
     }
 
-    initialize() {
-        this.overlay = document.getElementById('link-modal');
+    initialize(overlayId, scope = documentScope) {
+        this.overlay = scope.byId(overlayId);
         if (!this.overlay) return false;
 
         this.modal = this.overlay.querySelector('.modal');
-        this.urlInput = document.getElementById('link-url');
-        this.errorEl = document.getElementById('link-error');
-        this.cancelBtn = document.getElementById('link-cancel');
-        this.confirmBtn = document.getElementById('link-confirm');
-
-        if (!this.modal || !this.urlInput || !this.cancelBtn || !this.confirmBtn) {
-            return false;
-        }
+        if (!this.modal) return false;
 
         this.focusTrap = new FocusTrap(this.modal);
 
-        this.confirmBtn.addEventListener('click', this.handleConfirm);
-        this.cancelBtn.addEventListener('click', this.handleCancel);
         this.overlay.addEventListener('click', this.handleOverlayClick);
-        this.urlInput.addEventListener('input', this.handleInput);
-        this.urlInput.addEventListener('keydown', this.handleKeyDown);
+        this.modal.addEventListener('keydown', this.handleModalKeyDown);
 
         return true;
     }
 
-    open(options = {}) {
-        if (this.isOpen) return;
-
-        const { initialValue = '', onConfirm = null } = options;
+    show() {
+        if (this.isOpen || !this.overlay) return;
 
-        this.onConfirm = onConfirm;
         this.previousFocus = document.activeElement;
 
-        this.urlInput.value = initialValue;
-        this.clearError();
-
         this.overlay.classList.add('is-visible');
         this.overlay.setAttribute('aria-hidden', 'false');
         this.isOpen = true;
@@ -137,8 +125,141 @@ export class LinkModal {
         if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
             this.previousFocus.focus();
         }
+    }
+
+    handleOverlayClick(e) {
+        if (e.target === this.overlay) {
+            this.close();
+        }
+    }
+
+    handleModalKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    destroy() {
+        if (this.overlay) {
+            this.overlay.removeEventListener('click', this.handleOverlayClick);
+        }
+        if (this.modal) {
+            this.modal.removeEventListener('keydown', this.handleModalKeyDown);
+        }
+        if (this.focusTrap) {
+            this.focusTrap.deactivate();
+        }
+
+        this.overlay = null;
+        this.modal = null;
+        this.focusTrap = null;
+        this.previousFocus = null;
+    }
+}
+
+/**
+ * Link Modal Controller
+ */
+export class LinkModal extends ModalController {
+    constructor() {
+        super();
+        this.titleEl = null;
+        this.urlInput = null;
+        this.textInput = null;
+        this.titleInput = null;
+        this.newTabInput = null;
+        this.referrerInput = null;
+        this.relInputs = [];
+        this.errorEl = null;
+        this.removeBtn = null;
+        this.cancelBtn = null;
+        this.confirmBtn = null;
+        this.onConfirm = null;
+        this.onRemove = null;
+
+        this.handleConfirm = this.handleConfirm.bind(this);
+        this.handleCancel = this.handleCancel.bind(this);
+        this.handleRemove = this.handleRemove.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+    }
+
+    initialize(scope = documentScope) {
+        if (!super.initialize('link-modal', scope)) return false;
+
+        this.titleEl = scope.byId('modal-title');
+        this.urlInput = scope.byId('link-url');
+        this.textInput = scope.byId('link-text');
+        this.titleInput = scope.byId('link-title');
+        this.newTabInput = scope.byId('link-new-tab');
+        this.referrerInput = scope.byId('link-send-referrer');
+        this.relInputs = Array.from(this.modal.querySelectorAll('input[name="' + scope.id('link-rel') + '"]'));
+        this.errorEl = scope.byId('link-error');
+        this.removeBtn = scope.byId('link-remove');
+        this.cancelBtn = scope.byId('link-cancel');
+        this.confirmBtn = scope.byId('link-confirm');
+
+        if (!this.urlInput || !this.cancelBtn || !this.confirmBtn) {
+            return false;
+        }
+
+        this.confirmBtn.addEventListener('click', this.handleConfirm);
+        this.cancelBtn.addEventListener('click', this.handleCancel);
+        if (this.removeBtn) {
+            this.removeBtn.addEventListener('click', this.handleRemove);
+        }
+        this.urlInput.addEventListener('input', this.handleInput);
+        this.modal.addEventListener('keydown', this.handleKeyDown);
+
+        return true;
+    }
+
+    /**
+     * Open the dialog; initialValues carries href, text, title, target and rel,
+     * and onRemove offers a Remove button when editing an existing link
+     */
+    open(options = {}) {
+        if (this.isOpen) return;
+
+        const { initialValues = null, onConfirm = null, onRemove = null } = options;
+        const values = initialValues || {};
+        const isEditing = Boolean(values.href);
+
+        this.onConfirm = onConfirm;
+        this.onRemove = isEditing ? onRemove : null;
+
+        this.urlInput.value = values.href || '';
+        if (this.textInput) this.textInput.value = values.text || '';
+        if (this.titleInput) this.titleInput.value = values.title || '';
+        if (this.newTabInput) this.newTabInput.checked = values.target === LINK_TARGET_BLANK;
+        if (this.referrerInput) this.referrerInput.checked = values.sendReferrer === true;
+
+        const rel = parseRel(values.rel);
+        const flags = rel ? rel.split(' ') : [];
+        for (const input of this.relInputs) {
+            input.checked = flags.includes(input.value);
+        }
+
+        if (this.titleEl) {
+            this.titleEl.textContent = isEditing ? 'Edit Link' : 'Insert Link';
+        }
+        this.confirmBtn.textContent = isEditing ? 'Update' : 'Insert';
+        if (this.removeBtn) {
+            this.removeBtn.hidden = typeof this.onRemove !== 'function';
+        }
 
+        this.clearError();
+
+        this.show();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        super.close();
         this.onConfirm = null;
+        this.onRemove = null;
     }
 
     showError(message) {
@@ -172,8 +293,20 @@ export class LinkModal {
             return;
         }
 
+        const rel = this.relInputs
+            .filter(input => input.checked)
+            .map(input => input.value)
+            .join(' ');
+
         if (typeof this.onConfirm === 'function') {
-            this.onConfirm(validation.url);
+            this.onConfirm({
+                href: validation.url,
+                text: this.textInput ? this.textInput.value : '',
+                title: this.titleInput ? this.titleInput.value.trim() || null : null,
+                target: this.newTabInput && this.newTabInput.checked ? LINK_TARGET_BLANK : null,
+                rel: parseRel(rel),
+                sendReferrer: this.referrerInput && this.referrerInput.checked ? true : null
+            });
         }
 
         this.close();
@@ -183,10 +316,12 @@ export class LinkModal {
         this.close();
     }
 
-    handleOverlayClick(e) {
-        if (e.target === this.overlay) {
-            this.close();
+    handleRemove() {
+        if (typeof this.onRemove === 'function') {
+            this.onRemove();
         }
+
+        this.close();
     }
 
     handleInput() {
@@ -196,12 +331,9 @@ export class LinkModal {
     }
 
     handleKeyDown(e) {
-        if (e.key === 'Enter') {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT' && e.target.type !== 'checkbox') {
             e.preventDefault();
             this.handleConfirm();
-        } else if (e.key === 'Escape') {
-            e.preventDefault();
-            this.close();
         }
     }
 
@@ -212,24 +344,665 @@ export class LinkModal {
         if (this.cancelBtn) {
             this.cancelBtn.removeEventListener('click', this.handleCancel);
         }
-        if (this.overlay) {
-            this.overlay.removeEventListener('click', this.handleOverlayClick);
+        if (this.removeBtn) {
+            this.removeBtn.removeEventListener('click', this.handleRemove);
         }
         if (this.urlInput) {
             this.urlInput.removeEventListener('input', this.handleInput);
-            this.urlInput.removeEventListener('keydown', this.handleKeyDown);
         }
-        if (this.focusTrap) {
-            this.focusTrap.deactivate();
+        if (this.modal) {
+            this.modal.removeEventListener('keydown', this.handleKeyDown);
         }
 
-        this.overlay = null;
-        this.modal = null;
+        super.destroy();
+
+        this.titleEl = null;
         this.urlInput = null;
+        this.textInput = null;
+        this.titleInput = null;
+        this.newTabInput = null;
+        this.referrerInput = null;
+        this.relInputs = [];
         this.errorEl = null;
+        this.removeBtn = null;
+        this.cancelBtn = null;
+        this.confirmBtn = null;
+        this.onConfirm = null;
+        this.onRemove = null;
+    }
+}
+
+/**
+ * Import Modal Controller (HTML or Markdown source)
+ */
+export class ImportModal extends ModalController {
+    constructor() {
+        super();
+        this.titleEl = null;
+        this.labelEl = null;
+        this.sourceInput = null;
+        this.errorEl = null;
+        this.reportEl = null;
+        this.cancelBtn = null;
+        this.confirmBtn = null;
+        this.onImport = null;
+        this.isDone = false;
+
+        this.handleConfirm = this.handleConfirm.bind(this);
+        this.handleCancel = this.handleCancel.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+    }
+
+    initialize(scope = documentScope) {
+        if (!super.initialize('import-modal', scope)) return false;
+
+        this.titleEl = scope.byId('import-modal-title');
+        this.labelEl = this.modal.querySelector('label[for="' + scope.id('import-source') + '"]');
+        this.sourceInput = scope.byId('import-source');
+        this.errorEl = scope.byId('import-error');
+        this.reportEl = scope.byId('import-report');
+        this.cancelBtn = scope.byId('import-cancel');
+        this.confirmBtn = scope.byId('import-confirm');
+
+        if (!this.sourceInput || !this.cancelBtn || !this.confirmBtn) {
+            return false;
+        }
+
+        this.confirmBtn.addEventListener('click', this.handleConfirm);
+        this.cancelBtn.addEventListener('click', this.handleCancel);
+        this.sourceInput.addEventListener('input', this.handleInput);
+
+        return true;
+    }
+
+    /**
+     * Open the dialog; onImport receives the source and returns report lines
+     */
+    open(options = {}) {
+        if (this.isOpen) return;
+
+        const {
+            title = 'Import HTML',
+            label = 'Paste the post\'s HTML',
+            placeholder = '',
+            onImport = null
+        } = options;
+
+        this.onImport = onImport;
+
+        if (this.titleEl) this.titleEl.textContent = title;
+        if (this.labelEl) this.labelEl.textContent = label;
+        this.sourceInput.placeholder = placeholder;
+        this.sourceInput.value = '';
+        this.clearError();
+        this.setDone(false);
+
+        this.show();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        super.close();
+        this.onImport = null;
+    }
+
+    setDone(done) {
+        this.isDone = done;
+        this.sourceInput.disabled = done;
+        this.confirmBtn.textContent = done ? 'Done' : 'Import';
+        this.cancelBtn.hidden = done;
+
+        if (!done && this.reportEl) {
+            this.reportEl.innerHTML = '';
+            this.reportEl.hidden = true;
+        }
+    }
+
+    showReport(lines) {
+        if (!this.reportEl) return;
+
+        this.reportEl.innerHTML = '';
+
+        const title = document.createElement('p');
+        title.className = 'import-report-title';
+        title.textContent = 'Imported with changes:';
+        this.reportEl.appendChild(title);
+
+        const list = document.createElement('ul');
+        for (const line of lines) {
+            const li = document.createElement('li');
+            li.textContent = line;
+            list.appendChild(li);
+        }
+        this.reportEl.appendChild(list);
+        this.reportEl.hidden = false;
+    }
+
+    showError(message) {
+        if (this.errorEl) {
+            this.errorEl.textContent = message;
+        }
+        this.sourceInput.setAttribute('aria-invalid', 'true');
+    }
+
+    clearError() {
+        if (this.errorEl) {
+            this.errorEl.textContent = '';
+        }
+        this.sourceInput.removeAttribute('aria-invalid');
+    }
+
+    handleConfirm() {
+        if (this.isDone) {
+            this.close();
+            return;
+        }
+
+        const source = this.sourceInput.value;
+
+        if (!source.trim()) {
+            this.showError('Please paste something to import');
+            this.sourceInput.focus();
+            return;
+        }
+
+        const lines = typeof this.onImport === 'function' ? this.onImport(source) : null;
+
+        if (lines && lines.length > 0) {
+            this.setDone(true);
+            this.showReport(lines);
+            this.confirmBtn.focus();
+        } else {
+            this.close();
+        }
+    }
+
+    handleCancel() {
+        this.close();
+    }
+
+    handleInput() {
+        if (this.sourceInput.value.trim()) {
+            this.clearError();
+        }
+    }
+
+    destroy() {
+        if (this.confirmBtn) {
+            this.confirmBtn.removeEventListener('click', this.handleConfirm);
+        }
+        if (this.cancelBtn) {
+            this.cancelBtn.removeEventListener('click', this.handleCancel);
+        }
+        if (this.sourceInput) {
+            this.sourceInput.removeEventListener('input', this.handleInput);
+        }
+
+        super.destroy();
+
+        this.sourceInput = null;
+        this.errorEl = null;
+        this.reportEl = null;
+        this.cancelBtn = null;
+        this.confirmBtn = null;
+        this.onImport = null;
+    }
+}
+
+/**
+ * Image Modal Controller
+ */
+export class ImageModal extends ModalController {
+    constructor() {
+        super();
+        this.titleEl = null;
+        this.fields = {};
+        this.errorEls = {};
+        this.cancelBtn = null;
+        this.confirmBtn = null;
+        this.onConfirm = null;
+
+        this.handleConfirm = this.handleConfirm.bind(this);
+        this.handleCancel = this.handleCancel.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+    }
+
+    initialize(scope = documentScope) {
+        if (!super.initialize('image-modal', scope)) return false;
+
+        this.titleEl = scope.byId('image-modal-title');
+        this.fields = {
+            src: scope.byId('image-src'),
+            alt: scope.byId('image-alt'),
+            caption: scope.byId('image-caption'),
+            width: scope.byId('image-width'),
+            height: scope.byId('image-height'),
+            align: scope.byId('image-align')
+        };
+        this.errorEls = {
+            src: scope.byId('image-src-error'),
+            alt: scope.byId('image-alt-error')
+        };
+        this.cancelBtn = scope.byId('image-cancel');
+        this.confirmBtn = scope.byId('image-confirm');
+
+        if (!this.fields.src || !this.fields.alt || !this.cancelBtn || !this.confirmBtn) {
+            return false;
+        }
+
+        this.confirmBtn.addEventListener('click', this.handleConfirm);
+        this.cancelBtn.addEventListener('click', this.handleCancel);
+        this.modal.addEventListener('input', this.handleInput);
+        this.modal.addEventListener('keydown', this.handleKeyDown);
+
+        return true;
+    }
+
+    /**
+     * Open the dialog; passing initialValues edits an existing image
+     */
+    open(options = {}) {
+        if (this.isOpen) return;
+
+        const { initialValues = null, onConfirm = null } = options;
+        const values = initialValues || {};
+
+        this.onConfirm = onConfirm;
+
+        this.setValue('src', values.src);
+        this.setValue('alt', values.alt);
+        this.setValue('caption', values.caption);
+        this.setValue('width', values.width);
+        this.setValue('height', values.height);
+        this.setValue('align', parseAlign(values.align));
+
+        if (this.titleEl) {
+            this.titleEl.textContent = initialValues ? 'Edit Image' : 'Insert Image';
+        }
+        this.confirmBtn.textContent = initialValues ? 'Update' : 'Insert';
+
+        this.clearError('src');
+        this.clearError('alt');
+
+        this.show();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        super.close();
+        this.onConfirm = null;
+    }
+
+    setValue(name, value) {
+        if (this.fields[name]) {
+            this.fields[name].value = value === null || value === undefined ? '' : String(value);
+        }
+    }
+
+    getValue(name) {
+        return this.fields[name] ? this.fields[name].value.trim() : '';
+    }
+
+    showError(name, message) {
+        if (this.errorEls[name]) {
+            this.errorEls[name].textContent = message;
+        }
+        this.fields[name].setAttribute('aria-invalid', 'true');
+    }
+
+    clearError(name) {
+        if (this.errorEls[name]) {
+            this.errorEls[name].textContent = '';
+        }
+        this.fields[name].removeAttribute('aria-invalid');
+    }
+
+    handleConfirm() {
+        const src = this.getValue('src');
+        const alt = this.getValue('alt');
+
+        if (!src) {
+            this.showError('src', 'Please enter an image URL');
+            this.fields.src.focus();
+            return;
+        }
+
+        const validation = validateImageURL(src);
+
+        if (!validation.valid) {
+            this.showError('src', validation.error || 'Invalid URL');
+            this.fields.src.focus();
+            return;
+        }
+
+        // Alt text is required; screen readers have nothing else to go on
+        if (!alt) {
+            this.showError('alt', 'Describe the image for readers who cannot see it');
+            this.fields.alt.focus();
+            return;
+        }
+
+        if (typeof this.onConfirm === 'function') {
+            this.onConfirm({
+                src: validation.url,
+                alt,
+                caption: this.getValue('caption') || null,
+                width: parseDimension(this.getValue('width')),
+                height: parseDimension(this.getValue('height')),
+                align: parseAlign(this.getValue('align'))
+            });
+        }
+
+        this.close();
+    }
+
+    handleCancel() {
+        this.close();
+    }
+
+    handleInput(e) {
+        if (e.target === this.fields.src && this.getValue('src')) {
+            this.clearError('src');
+        } else if (e.target === this.fields.alt && this.getValue('alt')) {
+            this.clearError('alt');
+        }
+    }
+
+    handleKeyDown(e) {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+            e.preventDefault();
+            this.handleConfirm();
+        }
+    }
+
+    destroy() {
+        if (this.confirmBtn) {
+            this.confirmBtn.removeEventListener('click', this.handleConfirm);
+        }
+        if (this.cancelBtn) {
+            this.cancelBtn.removeEventListener('click', this.handleCancel);
+        }
+        if (this.modal) {
+            this.modal.removeEventListener('input', this.handleInput);
+            this.modal.removeEventListener('keydown', this.handleKeyDown);
+        }
+
+        super.destroy();
+
+        this.titleEl = null;
+        this.fields = {};
+        this.errorEls = {};
         this.cancelBtn = null;
         this.confirmBtn = null;
-        this.focusTrap = null;
         this.onConfirm = null;
     }
 }
+
+/**
+ * Keyboard Shortcuts Modal Controller
+ *
+ * Lists every shortcut and records new key combinations for toolbar actions.
+ * While recording, keys are captured on the overlay before the modal's own
+ * Escape handling; Backspace removes the shortcut and Escape cancels.
+ */
+export class ShortcutsModal extends ModalController {
+    constructor() {
+        super();
+        this.listEl = null;
+        this.errorEl = null;
+        this.resetBtn = null;
+        this.closeBtn = null;
+        this.rows = new Map();
+        this.options = null;
+        this.recording = null;
+
+        this.handleListClick = this.handleListClick.bind(this);
+        this.handleRecordKeyDown = this.handleRecordKeyDown.bind(this);
+        this.handleReset = this.handleReset.bind(this);
+        this.handleClose = this.handleClose.bind(this);
+    }
+
+    initialize(scope = documentScope) {
+        if (!super.initialize('shortcuts-modal', scope)) return false;
+
+        this.listEl = scope.byId('shortcut-list');
+        this.errorEl = scope.byId('shortcut-error');
+        this.resetBtn = scope.byId('shortcut-reset');
+        this.closeBtn = scope.byId('shortcut-close');
+
+        if (!this.listEl || !this.closeBtn) {
+            return false;
+        }
+
+        this.listEl.addEventListener('click', this.handleListClick);
+        this.overlay.addEventListener('keydown', this.handleRecordKeyDown, true);
+        this.closeBtn.addEventListener('click', this.handleClose);
+        if (this.resetBtn) {
+            this.resetBtn.addEventListener('click', this.handleReset);
+        }
+
+        return true;
+    }
+
+    /**
+     * Open the list; actions are [{ action, label }] and fixed are [{ label, shortcut }].
+     * getShortcut(action) reads a binding and onChange(action, shortcut) returns { ok, error, conflict }.
+     */
+    open(options = {}) {
+        if (this.isOpen) return;
+
+        this.options = {
+            actions: options.actions || [],
+            fixed: options.fixed || [],
+            getShortcut: options.getShortcut || (() => null),
+            onChange: options.onChange || null,
+            onReset: options.onReset || null
+        };
+        this.recording = null;
+
+        this.render();
+        this.clearError();
+        this.show();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.stopRecording();
+        super.close();
+        this.options = null;
+    }
+
+    render() {
+        this.listEl.innerHTML = '';
+        this.rows.clear();
+
+        for (const { action, label } of this.options.actions) {
+            const row = this.createRow(label);
+
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'shortcut-change-btn';
+            btn.setAttribute('data-shortcut-action', action);
+            btn.setAttribute('aria-label', 'Change shortcut for ' + label);
+            btn.textContent = 'Change';
+            row.cell.appendChild(btn);
+
+            this.rows.set(action, { keys: row.keys, btn, label });
+        }
+
+        for (const { label, shortcut } of this.options.fixed) {
+            const row = this.createRow(label);
+            row.keys.textContent = formatShortcut(shortcut);
+        }
+
+        this.updateRows();
+    }
+
+    createRow(label) {
+        const tr = document.createElement('tr');
+
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = label;
+
+        const keysCell = document.createElement('td');
+        const keys = document.createElement('kbd');
+        keysCell.appendChild(keys);
+
+        const cell = document.createElement('td');
+
+        tr.append(th, keysCell, cell);
+        this.listEl.appendChild(tr);
+
+        return { keys, cell };
+    }
+
+    updateRows() {
+        this.rows.forEach((row, action) => {
+            const shortcut = this.options.getShortcut(action);
+            const isRecording = this.recording === action;
+
+            row.keys.textContent = shortcut ? formatShortcut(shortcut) : 'None';
+            row.keys.classList.toggle('is-empty', !shortcut);
+            row.btn.textContent = isRecording ? 'Press keys…' : 'Change';
+            row.btn.setAttribute('aria-pressed', String(isRecording));
+        });
+    }
+
+    startRecording(action) {
+        this.recording = action;
+        this.clearError();
+        this.updateRows();
+    }
+
+    stopRecording() {
+        if (!this.recording) return;
+
+        this.recording = null;
+        this.updateRows();
+    }
+
+    apply(shortcut) {
+        if (typeof this.options.onChange !== 'function') return;
+
+        const result = this.options.onChange(this.recording, shortcut);
+        if (!result || !result.ok) {
+            // Stay in recording mode so another combination can be tried
+            this.showError(this.describeError(result || {}, shortcut));
+            return;
+        }
+
+        this.clearError();
+        this.stopRecording();
+    }
+
+    describeError(result, shortcut) {
+        const keys = formatShortcut(shortcut);
+
+        if (result.conflict === 'reserved') {
+            return keys + ' is reserved for editing or the browser';
+        }
+        if (result.error === 'conflict') {
+            const owner = this.rows.get(result.conflict);
+            return keys + ' is already used by ' + (owner ? owner.label : result.conflict);
+        }
+        return 'Include ' + (isMacPlatform() ? '⌘, ⌃ or ⌥' : 'Ctrl or Alt') + ', or use a function key';
+    }
+
+    showError(message) {
+        if (this.errorEl) {
+            this.errorEl.textContent = message;
+        }
+    }
+
+    clearError() {
+        if (this.errorEl) {
+            this.errorEl.textContent = '';
+        }
+    }
+
+    handleListClick(e) {
+        const btn = e.target.closest('[data-shortcut-action]');
+        if (!btn) return;
+
+        const action = btn.getAttribute('data-shortcut-action');
+        if (this.recording === action) {
+            this.stopRecording();
+        } else {
+            this.startRecording(action);
+        }
+    }
+
+    handleRecordKeyDown(e) {
+        if (!this.recording) return;
+
+        // Tab still moves focus, ending the recording
+        if (e.key === 'Tab') {
+            this.stopRecording();
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            this.clearError();
+            this.stopRecording();
+            return;
+        }
+
+        if ((e.key === 'Backspace' || e.key === 'Delete') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            this.apply(null);
+            return;
+        }
+
+        // A lone modifier waits for the rest of the combination
+        const shortcut = shortcutFromEvent(e);
+        if (shortcut) {
+            this.apply(shortcut);
+        }
+    }
+
+    handleReset() {
+        this.stopRecording();
+        this.clearError();
+
+        if (typeof this.options.onReset === 'function') {
+            this.options.onReset();
+        }
+        this.updateRows();
+    }
+
+    handleClose() {
+        this.close();
+    }
+
+    destroy() {
+        if (this.listEl) {
+            this.listEl.removeEventListener('click', this.handleListClick);
+        }
+        if (this.overlay) {
+            this.overlay.removeEventListener('keydown', this.handleRecordKeyDown, true);
+        }
+        if (this.closeBtn) {
+            this.closeBtn.removeEventListener('click', this.handleClose);
+        }
+        if (this.resetBtn) {
+            this.resetBtn.removeEventListener('click', this.handleReset);
+        }
+
+        super.destroy();
+
+        this.listEl = null;
+        this.errorEl = null;
+        this.resetBtn = null;
+        this.closeBtn = null;
+        this.rows.clear();
+        this.options = null;
+        this.recording = null;
+    }
+}
@@ -0,0 +1,107 @@
+/* module-sw.js */
+
+/**
+ * Module Cache Service Worker
+ * @author Oathan Rex
+ *
+ * Keeps the editor's pages, local modules and stylesheet from the moment it
+ * installs, and the Tiptap modules after the first successful load, so the
+ * editor also starts offline. The page sends the module URLs to keep once
+ * loading worked; everything cached is then served from the cache and
+ * refreshed in the background.
+ */
+
+const CACHE_NAME = 'content-editor-modules-v2';
+const CACHE_MESSAGE = 'content-editor:cache-modules';
+
+// The pages, local modules and stylesheet the editor needs before its loader
+// runs, relative to this worker
+const APP_SHELL = [
+    './',
+    './index.html',
+    './embed.html',
+    './styles.css',
+    './app.js',
+    './bridge.js',
+    './drafts.js',
+    './embed-protocol.js',
+    './export.js',
+    './formatter.js',
+    './highlight.js',
+    './image.js',
+    './import.js',
+    './jumpbreak.js',
+    './link.js',
+    './linkbubble.js',
+    './loader.js',
+    './modal.js',
+    './plugins.js',
+    './readability.js',
+    './rendered.js',
+    './shortcuts.js',
+    './source.js',
+    './stats.js',
+    './storage.js',
+    './template.js',
+    './toolbar.js',
+    './utils.js'
+];
+
+// Requests served from the cache: pages, stylesheets, module imports, and the
+// page's own fetches that check module integrity
+const CACHED_DESTINATIONS = new Set(['document', 'style', 'script', '']);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('content-editor-modules-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type !== CACHE_MESSAGE || !Array.isArray(data.urls)) return;
+
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => Promise.all(data.urls.map(async (url) => {
+            if (await cache.match(url)) return;
+
+            try {
+                await cache.add(url);
+            } catch (error) {
+                console.warn('Could not cache module ' + url + ':', error);
+            }
+        })))
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || !CACHED_DESTINATIONS.has(request.destination)) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            // A page opened with a query string is still the cached page
+            const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+            if (!cached) return fetch(request);
+
+            event.waitUntil(
+                fetch(request)
+                    .then(response => response.ok ? cache.put(request, response) : null)
+                    .catch(() => null)
+            );
+            return cached;
+        })
+    );
+});
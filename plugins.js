@@ -0,0 +1,149 @@
+/* plugins.js */
+
+/**
+ * Plugin Module
+ * @author Oathan Rex
+ */
+
+import { registerNodeSerializer, unregisterNodeSerializer } from './export.js';
+import { registerNodeText, unregisterNodeText } from './stats.js';
+
+const PLUGIN_NAME = /^[a-z][a-z0-9-]*$/i;
+
+// Serializers are shared by every editor on the page: each node type belongs to
+// the plugin that registered it first, with a count of the registries using it
+const nodeOwners = new Map();
+
+/**
+ * Check a plugin's shape, returning an error message or null
+ */
+export function validatePlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object') return 'plugin must be an object';
+    if (typeof plugin.name !== 'string' || !PLUGIN_NAME.test(plugin.name)) return 'missing or invalid name';
+    if (plugin.extension !== undefined && typeof plugin.extension !== 'function') {
+        return 'extension must be a function of the Tiptap modules';
+    }
+
+    for (const [type, spec] of Object.entries(plugin.nodes || {})) {
+        if (!spec || typeof spec.html !== 'function') return 'node ' + type + ' has no html serializer';
+    }
+
+    if (plugin.toolbar !== undefined && !Array.isArray(plugin.toolbar)) return 'toolbar must be an array';
+    return null;
+}
+
+/**
+ * Plugin Registry
+ *
+ * A plugin bundles everything a new content type needs:
+ *   name       unique id
+ *   extension  (modules) => Tiptap extension, called once Tiptap has loaded
+ *   nodes      { type: { html(node, profile), markdown(node), text(node) } }
+ *   toolbar    toolbar button definitions, each with optional group, before and shortcut
+ */
+export class PluginRegistry {
+    constructor() {
+        this.plugins = new Map();
+    }
+
+    register(plugin) {
+        const error = validatePlugin(plugin);
+        if (error) {
+            console.error('Invalid plugin: ' + error);
+            return false;
+        }
+        if (this.plugins.has(plugin.name)) {
+            console.error('Plugin already registered: ' + plugin.name);
+            return false;
+        }
+
+        const types = [];
+        for (const [type, spec] of Object.entries(plugin.nodes || {})) {
+            const owner = nodeOwners.get(type);
+            if (owner && owner.plugin !== plugin.name) {
+                console.error('Plugin ' + plugin.name + ' cannot replace the ' + type + ' node of plugin ' + owner.plugin);
+                types.forEach(registered => this.unregisterNode(registered));
+                return false;
+            }
+
+            // Another editor already registered this plugin; its serializers stay as they are
+            if (owner) {
+                owner.users += 1;
+                types.push(type);
+                continue;
+            }
+
+            if (!registerNodeSerializer(type, spec)) {
+                console.error('Plugin ' + plugin.name + ' cannot replace the ' + type + ' node');
+                types.forEach(registered => this.unregisterNode(registered));
+                return false;
+            }
+            if (typeof spec.text === 'function') {
+                registerNodeText(type, spec.text);
+            }
+            nodeOwners.set(type, { plugin: plugin.name, users: 1 });
+            types.push(type);
+        }
+
+        this.plugins.set(plugin.name, plugin);
+        return true;
+    }
+
+    unregisterNode(type) {
+        const owner = nodeOwners.get(type);
+        if (!owner) return;
+
+        owner.users -= 1;
+        if (owner.users > 0) return;
+
+        nodeOwners.delete(type);
+        unregisterNodeSerializer(type);
+        unregisterNodeText(type);
+    }
+
+    has(name) {
+        return this.plugins.has(name);
+    }
+
+    names() {
+        return Array.from(this.plugins.keys());
+    }
+
+    /**
+     * Build each plugin's Tiptap extension; a plugin that fails is left out
+     */
+    getExtensions(modules) {
+        const extensions = [];
+        for (const plugin of this.plugins.values()) {
+            if (typeof plugin.extension !== 'function') continue;
+
+            try {
+                const extension = plugin.extension(modules);
+                if (extension) extensions.push(extension);
+            } catch (error) {
+                console.error('Plugin ' + plugin.name + ' extension failed:', error);
+            }
+        }
+        return extensions;
+    }
+
+    /**
+     * Toolbar buttons of one plugin, split into definition and placement
+     */
+    getToolbarActions(name) {
+        const plugin = this.plugins.get(name);
+        if (!plugin || !plugin.toolbar) return [];
+
+        return plugin.toolbar.map(({ group, groupLabel, before, ...definition }) => ({
+            definition,
+            options: { group, groupLabel, before }
+        }));
+    }
+
+    destroy() {
+        for (const plugin of this.plugins.values()) {
+            Object.keys(plugin.nodes || {}).forEach(type => this.unregisterNode(type));
+        }
+        this.plugins.clear();
+    }
+}
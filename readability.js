@@ -0,0 +1,510 @@
+/* readability.js */
+
+/**
+ * Readability Module
+ * @author Oathan Rex
+ */
+
+import { containsCJK, countCJK, formatNumber, documentScope } from './utils.js';
+import { getSentencesFromJSON, findSentences } from './stats.js';
+
+export const ReadabilityLanguage = Object.freeze({
+    ENGLISH: 'en',
+    SPANISH: 'es',
+    GERMAN: 'de',
+    FRENCH: 'fr',
+    DUTCH: 'nl',
+    CJK: 'cjk',
+    UNKNOWN: 'unknown'
+});
+
+export const ReadabilityLevel = Object.freeze({
+    EASY: 'easy',
+    STANDARD: 'standard',
+    DIFFICULT: 'difficult',
+    VERY_DIFFICULT: 'very-difficult'
+});
+
+const LEVEL_LABELS = {
+    [ReadabilityLevel.EASY]: 'Easy',
+    [ReadabilityLevel.STANDARD]: 'Standard',
+    [ReadabilityLevel.DIFFICULT]: 'Difficult',
+    [ReadabilityLevel.VERY_DIFFICULT]: 'Very difficult'
+};
+
+const LANGUAGE_NAMES = {
+    [ReadabilityLanguage.ENGLISH]: 'English',
+    [ReadabilityLanguage.SPANISH]: 'Spanish',
+    [ReadabilityLanguage.GERMAN]: 'German',
+    [ReadabilityLanguage.FRENCH]: 'French',
+    [ReadabilityLanguage.DUTCH]: 'Dutch',
+    [ReadabilityLanguage.CJK]: 'Chinese, Japanese or Korean'
+};
+
+// Reading ease by language, from words per sentence and syllables per word.
+// All of them read on Flesch's 0-100 scale.
+const EASE_FORMULAS = {
+    [ReadabilityLanguage.ENGLISH]: {
+        name: 'Flesch Reading Ease',
+        ease: (wordsPerSentence, syllablesPerWord) => 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord
+    },
+    // Syllables and sentences per 100 words
+    [ReadabilityLanguage.SPANISH]: {
+        name: 'Fern\u00e1ndez-Huerta',
+        ease: (wordsPerSentence, syllablesPerWord) => 206.84 - 0.6 * (syllablesPerWord * 100) - 1.02 * (100 / wordsPerSentence)
+    },
+    [ReadabilityLanguage.GERMAN]: {
+        name: 'Amstad',
+        ease: (wordsPerSentence, syllablesPerWord) => 180 - wordsPerSentence - 58.5 * syllablesPerWord
+    },
+    [ReadabilityLanguage.FRENCH]: {
+        name: 'Kandel-Moles',
+        ease: (wordsPerSentence, syllablesPerWord) => 207 - 1.015 * wordsPerSentence - 73.6 * syllablesPerWord
+    },
+    [ReadabilityLanguage.DUTCH]: {
+        name: 'Flesch-Douma',
+        ease: (wordsPerSentence, syllablesPerWord) => 206.835 - 0.93 * wordsPerSentence - 77 * syllablesPerWord
+    }
+};
+
+// Common short words that tell the Latin-script languages apart
+const STOP_WORDS = {
+    [ReadabilityLanguage.ENGLISH]: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'with', 'for', 'was', 'this', 'are', 'you', 'not', 'on'],
+    [ReadabilityLanguage.SPANISH]: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'es', 'por', 'un', 'una', 'con', 'para', 'del', 'se', 'no'],
+    [ReadabilityLanguage.GERMAN]: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'mit', 'den', 'von', 'sich', 'auf', 'ich', 'es'],
+    [ReadabilityLanguage.FRENCH]: ['le', 'la', 'les', 'de', 'et', 'est', 'un', 'une', 'des', 'du', 'que', 'en', 'pour', 'pas', 'qui', 'dans', 'il'],
+    [ReadabilityLanguage.DUTCH]: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'met', 'zijn', 'voor', 'ik', 'te', 'die']
+};
+
+const STOP_WORD_SETS = Object.entries(STOP_WORDS).map(([language, words]) => [language, new Set(words)]);
+
+// Vowel groups that make up syllables outside English
+const VOWEL_GROUPS = {
+    [ReadabilityLanguage.SPANISH]: /[aeiou\u00e1\u00e9\u00ed\u00f3\u00fa\u00fc]+/g,
+    [ReadabilityLanguage.GERMAN]: /[aeiouy\u00e4\u00f6\u00fc]+/g,
+    [ReadabilityLanguage.FRENCH]: /[aeiouy\u00e0\u00e2\u00e4\u00e9\u00e8\u00ea\u00eb\u00ee\u00ef\u00f4\u00f6\u00fb\u00f9\u00fc\u00ff\u0153\u00e6]+/g,
+    [ReadabilityLanguage.DUTCH]: /[aeiouy\u00e4\u00eb\u00ef\u00f6\u00fc]+/g
+};
+
+// Reading ease at or above which each level starts
+const EASE_LEVELS = [
+    [70, ReadabilityLevel.EASY],
+    [50, ReadabilityLevel.STANDARD],
+    [30, ReadabilityLevel.DIFFICULT]
+];
+
+// Average CJK characters per sentence up to which each level lasts
+const CJK_LENGTH_LEVELS = [
+    [35, ReadabilityLevel.EASY],
+    [50, ReadabilityLevel.STANDARD],
+    [70, ReadabilityLevel.DIFFICULT]
+];
+
+// Thresholds for highlighting a single sentence; short sentences are never flagged
+const HARD_SENTENCE = {
+    minWords: 14,
+    ease: 50,
+    veryHardEase: 30,
+    cjkCharacters: 60,
+    veryHardCjkCharacters: 90
+};
+
+const WORD = /[a-z\u00c0-\u024f]+(?:['\u2019][a-z\u00c0-\u024f]+)*/gi;
+const KANA = /[\u3040-\u309f\u30a0-\u30ff]/g;
+const HAN = /[\u4e00-\u9fff\u3400-\u4dbf]/g;
+
+const HIGHLIGHT_CLASSES = {
+    [ReadabilityLevel.DIFFICULT]: 'readability-hard',
+    [ReadabilityLevel.VERY_DIFFICULT]: 'readability-very-hard'
+};
+
+/**
+ * Estimate the syllables of a word from its vowel groups, English by default
+ */
+export function countSyllables(word, language = ReadabilityLanguage.ENGLISH) {
+    const lower = String(word || '').toLowerCase();
+
+    if (VOWEL_GROUPS[language]) {
+        // French final "e" and "es" are silent
+        const spoken = language === ReadabilityLanguage.FRENCH && lower.length > 3
+            ? lower.replace(/es?$/, '')
+            : lower;
+        const groups = spoken.match(VOWEL_GROUPS[language]);
+        return groups ? groups.length : (lower ? 1 : 0);
+    }
+
+    const letters = lower.replace(/[^a-z]/g, '');
+    if (!letters) return 0;
+    if (letters.length <= 3) return 1;
+
+    const trimmed = letters
+        // Silent endings: "make", "baked", "makes", but not "table" or "added"
+        .replace(/(?:[^laeiouy]es|[^dt]ed|[^laeiouy]e)$/, (ending) => ending[0])
+        .replace(/^y/, '');
+
+    const groups = trimmed.match(/[aeiouy]+/g);
+    return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * CJK when CJK characters outnumber other words, otherwise the language
+ * whose common words appear most; UNKNOWN when none do
+ */
+export function detectLanguage(text) {
+    const words = (typeof text === 'string' && text.match(WORD)) || [];
+    if (containsCJK(text) && countCJK(text) > words.length) return ReadabilityLanguage.CJK;
+
+    let best = ReadabilityLanguage.UNKNOWN;
+    let bestCount = 0;
+    const counts = new Map(STOP_WORD_SETS.map(([language]) => [language, 0]));
+
+    for (const word of words) {
+        const lower = word.toLowerCase();
+        for (const [language, stopWords] of STOP_WORD_SETS) {
+            if (stopWords.has(lower)) counts.set(language, counts.get(language) + 1);
+        }
+    }
+    for (const [language, count] of counts) {
+        if (count > bestCount) {
+            best = language;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+function wordCounts(sentence, language) {
+    const words = sentence.match(WORD) || [];
+    const syllables = words.reduce((total, word) => total + countSyllables(word, language), 0);
+    return { words: words.length, syllables };
+}
+
+function fleschKincaidGrade(words, sentences, syllables) {
+    return 0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59;
+}
+
+function levelFromEase(ease) {
+    const match = EASE_LEVELS.find(([min]) => ease >= min);
+    return match ? match[1] : ReadabilityLevel.VERY_DIFFICULT;
+}
+
+function levelFromCjkLength(characters) {
+    const match = CJK_LENGTH_LEVELS.find(([max]) => characters <= max);
+    return match ? match[1] : ReadabilityLevel.VERY_DIFFICULT;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Readability of a list of sentences, by the formula of their language.
+ *
+ * Latin-script languages get their own variant of Flesch Reading Ease,
+ * English also the Flesch-Kincaid grade. Those depend on syllables, which
+ * CJK scripts do not split into, so CJK text is rated by average sentence
+ * length in characters instead, with the share of kanji when the text is
+ * Japanese. Other languages get no score.
+ */
+export function scoreSentences(sentences, language = detectLanguage(sentences.join(' '))) {
+    const text = sentences.join(' ');
+    const result = {
+        language,
+        formula: null,
+        sentences: sentences.length,
+        level: null,
+        readingEase: null,
+        gradeLevel: null,
+        averageSentenceCharacters: null,
+        kanjiRatio: null
+    };
+
+    if (language === ReadabilityLanguage.CJK) {
+        const characters = countCJK(text);
+        if (!characters) return result;
+
+        result.averageSentenceCharacters = round(characters / sentences.length);
+        result.level = levelFromCjkLength(result.averageSentenceCharacters);
+
+        if ((text.match(KANA) || []).length) {
+            result.kanjiRatio = Math.round((text.match(HAN) || []).length / characters * 100) / 100;
+        }
+        return result;
+    }
+
+    const formula = EASE_FORMULAS[language];
+    if (!formula) return result;
+
+    const counts = sentences.map(sentence => wordCounts(sentence, language)).filter(count => count.words > 0);
+    const words = counts.reduce((total, count) => total + count.words, 0);
+    if (!words) return result;
+
+    const syllables = counts.reduce((total, count) => total + count.syllables, 0);
+    const sentenceCount = counts.length;
+
+    result.formula = formula.name;
+    result.sentences = sentenceCount;
+    result.readingEase = round(formula.ease(words / sentenceCount, syllables / words));
+    result.level = levelFromEase(result.readingEase);
+    if (language === ReadabilityLanguage.ENGLISH) {
+        result.gradeLevel = round(Math.max(0, fleschKincaidGrade(words, sentenceCount, syllables)));
+    }
+    return result;
+}
+
+/**
+ * Readability of a Tiptap document, from the sentences of its paragraphs
+ */
+export function calculateReadability(json, options = {}) {
+    return scoreSentences(getSentencesFromJSON(json, options));
+}
+
+/**
+ * DIFFICULT or VERY_DIFFICULT for a sentence worth highlighting, otherwise
+ * null. Sentences are scored in the document's language, except that a
+ * mostly CJK sentence is always rated by its length.
+ */
+export function rateSentence(sentence, language = detectLanguage(sentence)) {
+    const characters = countCJK(sentence);
+    if (characters && characters > (sentence.match(WORD) || []).length) {
+        if (characters > HARD_SENTENCE.veryHardCjkCharacters) return ReadabilityLevel.VERY_DIFFICULT;
+        if (characters > HARD_SENTENCE.cjkCharacters) return ReadabilityLevel.DIFFICULT;
+        return null;
+    }
+
+    const formula = EASE_FORMULAS[language];
+    if (!formula) return null;
+
+    const { words, syllables } = wordCounts(sentence, language);
+    if (words < HARD_SENTENCE.minWords) return null;
+
+    const ease = formula.ease(words, syllables / words);
+    if (ease < HARD_SENTENCE.veryHardEase) return ReadabilityLevel.VERY_DIFFICULT;
+    if (ease < HARD_SENTENCE.ease) return ReadabilityLevel.DIFFICULT;
+    return null;
+}
+
+/**
+ * Decorations for the hard sentences of one paragraph at pos
+ */
+function paragraphDecorations(node, pos, language, Decoration) {
+    // Text of the paragraph with the document position of each character
+    let text = '';
+    const positions = [];
+    node.forEach((child, offset) => {
+        const value = child.isText ? child.text : ' ';
+        for (let i = 0; i < value.length; i++) {
+            positions.push(pos + 1 + offset + (child.isText ? i : 0));
+        }
+        text += value;
+    });
+
+    const decorations = [];
+    for (const sentence of findSentences(text)) {
+        const level = rateSentence(sentence.text, language);
+        if (!level) continue;
+
+        decorations.push(Decoration.inline(
+            positions[sentence.from],
+            positions[sentence.to - 1] + 1,
+            { class: HIGHLIGHT_CLASSES[level], title: LEVEL_LABELS[level] + ' to read' }
+        ));
+    }
+    return decorations;
+}
+
+// Calls visit(node, pos) for every paragraph that overlaps from..to
+function eachParagraph(doc, from, to, visit) {
+    doc.nodesBetween(from, to, (node, pos) => {
+        if (!node.isTextblock) return true;
+        if (node.type.name === 'paragraph') visit(node, pos);
+        return false;
+    });
+}
+
+// Ranges of the final document that the transaction's steps replaced
+function changedRanges(tr) {
+    const ranges = [];
+    tr.mapping.maps.forEach((map, index) => {
+        const after = tr.mapping.slice(index + 1);
+        map.forEach((oldStart, oldEnd, newStart, newEnd) => {
+            ranges.push([after.map(newStart, -1), after.map(newEnd, 1)]);
+        });
+    });
+    return ranges;
+}
+
+/**
+ * Highlights hard-to-read sentences. setReadabilityHighlight(enabled) turns
+ * it on or off; setReadabilityLanguage(language) scores in another language.
+ * Edits only re-score the paragraphs they touch.
+ */
+export function createReadabilityExtension({ Extension, Plugin, PluginKey, Decoration, DecorationSet }, enabled = true) {
+    const key = new PluginKey('readabilityHighlight');
+
+    const build = (doc, on, language) => {
+        const decorations = [];
+        if (on) {
+            eachParagraph(doc, 0, doc.content.size, (node, pos) => {
+                decorations.push(...paragraphDecorations(node, pos, language, Decoration));
+            });
+        }
+        return { enabled: on, language, decorations: DecorationSet.create(doc, decorations) };
+    };
+
+    const update = (tr, value, doc) => {
+        let decorations = value.decorations.map(tr.mapping, doc);
+        const seen = new Set();
+
+        for (const [from, to] of changedRanges(tr)) {
+            // Widened so an edit at a paragraph edge still finds the paragraph
+            eachParagraph(doc, Math.max(0, from - 1), Math.min(doc.content.size, to + 1), (node, pos) => {
+                if (seen.has(pos)) return;
+                seen.add(pos);
+
+                decorations = decorations
+                    .remove(decorations.find(pos, pos + node.nodeSize))
+                    .add(doc, paragraphDecorations(node, pos, value.language, Decoration));
+            });
+        }
+        return { ...value, decorations };
+    };
+
+    return Extension.create({
+        name: 'readabilityHighlight',
+
+        addCommands() {
+            return {
+                setReadabilityHighlight: (on) => ({ tr, dispatch }) => {
+                    if (dispatch) tr.setMeta(key, { enabled: Boolean(on) });
+                    return true;
+                },
+                setReadabilityLanguage: (language) => ({ tr, state, dispatch }) => {
+                    if (key.getState(state).language === language) return false;
+                    if (dispatch) tr.setMeta(key, { language });
+                    return true;
+                }
+            };
+        },
+
+        addProseMirrorPlugins() {
+            return [
+                new Plugin({
+                    key,
+                    state: {
+                        init: (config, state) => build(state.doc, enabled, detectLanguage(state.doc.textContent)),
+                        apply: (tr, value, oldState, newState) => {
+                            const meta = tr.getMeta(key) || {};
+                            const on = 'enabled' in meta ? meta.enabled : value.enabled;
+                            const language = meta.language || value.language;
+                            if (on !== value.enabled || language !== value.language) {
+                                return build(newState.doc, on, language);
+                            }
+                            if (!tr.docChanged || !on) return value;
+                            return update(tr, value, newState.doc);
+                        }
+                    },
+                    props: {
+                        decorations: (state) => key.getState(state).decorations
+                    }
+                })
+            ];
+        }
+    });
+}
+
+/**
+ * Readability Panel Controller
+ *
+ * Scores in the stats sidebar and the switch for sentence highlighting.
+ */
+export class ReadabilityPanel {
+    constructor() {
+        this.scoresEl = null;
+        this.highlightEl = null;
+        this.onHighlightChange = null;
+        this.lastResult = null;
+        this.handleHighlightChange = this.handleHighlightChange.bind(this);
+    }
+
+    initialize(options = {}) {
+        const scope = options.scope || documentScope;
+        this.scoresEl = scope.byId('readability-scores');
+        this.highlightEl = scope.byId('readability-highlight');
+        this.onHighlightChange = options.onHighlightChange || null;
+
+        if (this.highlightEl) {
+            this.highlightEl.checked = options.highlight !== false;
+            this.highlightEl.addEventListener('change', this.handleHighlightChange);
+        }
+
+        return !!this.scoresEl;
+    }
+
+    isHighlightEnabled() {
+        return Boolean(this.highlightEl && this.highlightEl.checked);
+    }
+
+    handleHighlightChange() {
+        if (typeof this.onHighlightChange === 'function') {
+            this.onHighlightChange(this.isHighlightEnabled());
+        }
+    }
+
+    update(result) {
+        if (!this.scoresEl || !result) return;
+        if (this.lastResult && Object.keys(result).every(key => this.lastResult[key] === result[key])) return;
+
+        this.lastResult = { ...result };
+        this.scoresEl.innerHTML = '';
+
+        const rows = [];
+        if (!result.sentences) {
+            rows.push(['Level', '—']);
+        } else if (!result.level) {
+            rows.push(['Level', 'No formula for this language']);
+        } else if (result.language === ReadabilityLanguage.CJK) {
+            rows.push(['Language', LANGUAGE_NAMES[result.language]]);
+            rows.push(['Level', LEVEL_LABELS[result.level]]);
+            rows.push(['Avg. characters per sentence', formatNumber(result.averageSentenceCharacters)]);
+            if (result.kanjiRatio !== null) {
+                rows.push(['Kanji share', Math.round(result.kanjiRatio * 100) + '%']);
+            }
+        } else {
+            rows.push(['Language', LANGUAGE_NAMES[result.language]]);
+            rows.push(['Level', LEVEL_LABELS[result.level]]);
+            rows.push([result.formula, formatNumber(result.readingEase)]);
+            if (result.gradeLevel !== null) {
+                rows.push(['Flesch-Kincaid grade', formatNumber(result.gradeLevel)]);
+            }
+        }
+
+        for (const [labelText, valueText] of rows) {
+            const row = document.createElement('div');
+            row.className = 'stat-item';
+
+            const label = document.createElement('span');
+            label.className = 'stat-label';
+            label.textContent = labelText;
+
+            const value = document.createElement('span');
+            value.className = 'stat-value';
+            value.textContent = valueText;
+
+            row.appendChild(label);
+            row.appendChild(value);
+            this.scoresEl.appendChild(row);
+        }
+    }
+
+    destroy() {
+        if (this.highlightEl) {
+            this.highlightEl.removeEventListener('change', this.handleHighlightChange);
+        }
+
+        this.scoresEl = null;
+        this.highlightEl = null;
+        this.onHighlightChange = null;
+        this.lastResult = null;
+    }
+}
@@ -0,0 +1,331 @@
+/* rendered.js */
+
+/**
+ * Rendered Preview Module
+ * @author Oathan Rex
+ */
+
+import { validateURL, documentScope } from './utils.js';
+
+export const PreviewWidth = Object.freeze({
+    MOBILE: 'mobile',
+    DESKTOP: 'desktop'
+});
+
+// Viewport widths the post is laid out at before being scaled to fit
+const VIEWPORT_WIDTHS = {
+    [PreviewWidth.MOBILE]: 390,
+    [PreviewWidth.DESKTOP]: 1200
+};
+
+// Blogger wraps post content in these classes, so theme rules apply as they would live
+const FRAME_DOCUMENT = '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+    '<base target="_blank">' +
+    '<link rel="stylesheet" id="theme-stylesheet">' +
+    '<style>body{margin:16px;font-family:Georgia,serif;line-height:1.6;}img{max-width:100%;height:auto;}</style>' +
+    '</head><body><div class="post-body entry-content" id="post-body"></div></body></html>';
+
+/**
+ * Rendered Preview Controller
+ *
+ * Owns the Source/Rendered tabs and a sandboxed iframe without scripts.
+ * allow-same-origin lets the page patch the frame's DOM in place.
+ */
+export class RenderedPreviewController {
+    constructor() {
+        this.tabs = [];
+        this.panels = new Map();
+        this.frame = null;
+        this.viewport = null;
+        this.widthSwitch = null;
+        this.themeInput = null;
+        this.themeApplyBtn = null;
+        this.themeError = null;
+        this.resizeObserver = null;
+        this.isReady = false;
+        this.pendingHTML = null;
+        this.width = PreviewWidth.DESKTOP;
+        this.themeURL = '';
+        this.callbacks = {};
+
+        this.handleTabClick = this.handleTabClick.bind(this);
+        this.handleTabKeyDown = this.handleTabKeyDown.bind(this);
+        this.handleWidthChange = this.handleWidthChange.bind(this);
+        this.handleThemeApply = this.handleThemeApply.bind(this);
+        this.handleThemeKeyDown = this.handleThemeKeyDown.bind(this);
+        this.handleFrameLoad = this.handleFrameLoad.bind(this);
+        this.updateScale = this.updateScale.bind(this);
+    }
+
+    initialize(options = {}) {
+        const scope = options.scope || documentScope;
+        this.frame = scope.byId('rendered-frame');
+        this.viewport = scope.byId('rendered-viewport');
+        if (!this.frame || !this.viewport) return false;
+
+        this.tabs = Array.from(scope.root.querySelectorAll('[data-preview-tab]'));
+        for (const tab of this.tabs) {
+            const panel = scope.root.querySelector('[id="' + tab.getAttribute('aria-controls') + '"]');
+            if (panel) this.panels.set(tab, panel);
+            tab.addEventListener('click', this.handleTabClick);
+            tab.addEventListener('keydown', this.handleTabKeyDown);
+        }
+
+        this.widthSwitch = scope.byId('rendered-width');
+        this.themeInput = scope.byId('theme-url');
+        this.themeApplyBtn = scope.byId('theme-apply');
+        this.themeError = scope.byId('theme-error');
+
+        this.callbacks = {
+            onShow: options.onShow || null,
+            onSettingsChange: options.onSettingsChange || null
+        };
+
+        this.width = Object.values(PreviewWidth).includes(options.width) ? options.width : PreviewWidth.DESKTOP;
+        this.themeURL = typeof options.themeURL === 'string' ? options.themeURL : '';
+
+        if (this.widthSwitch) {
+            const radio = this.widthSwitch.querySelector('input[value="' + this.width + '"]');
+            if (radio) radio.checked = true;
+            this.widthSwitch.addEventListener('change', this.handleWidthChange);
+        }
+        if (this.themeInput) {
+            this.themeInput.value = this.themeURL;
+            this.themeInput.addEventListener('keydown', this.handleThemeKeyDown);
+        }
+        if (this.themeApplyBtn) {
+            this.themeApplyBtn.addEventListener('click', this.handleThemeApply);
+        }
+
+        this.frame.addEventListener('load', this.handleFrameLoad);
+        this.frame.srcdoc = FRAME_DOCUMENT;
+
+        if (typeof ResizeObserver === 'function') {
+            this.resizeObserver = new ResizeObserver(this.updateScale);
+            this.resizeObserver.observe(this.viewport);
+        }
+
+        return true;
+    }
+
+    isVisible() {
+        const panel = this.viewport ? this.viewport.closest('[role="tabpanel"]') : null;
+        return Boolean(panel && !panel.hidden);
+    }
+
+    selectTab(tab, focus = false) {
+        for (const other of this.tabs) {
+            const selected = other === tab;
+            other.setAttribute('aria-selected', String(selected));
+            other.tabIndex = selected ? 0 : -1;
+            const panel = this.panels.get(other);
+            if (panel) panel.hidden = !selected;
+        }
+
+        if (focus) tab.focus();
+
+        if (this.isVisible()) {
+            this.updateScale();
+            if (typeof this.callbacks.onShow === 'function') {
+                this.callbacks.onShow();
+            }
+        }
+    }
+
+    /**
+     * Patch the frame with new post HTML, replacing only top-level nodes that changed
+     */
+    update(html) {
+        if (!this.isReady) {
+            this.pendingHTML = html;
+            return;
+        }
+
+        const doc = this.frame.contentDocument;
+        const body = doc ? doc.getElementById('post-body') : null;
+        if (!body) return;
+
+        const template = doc.createElement('template');
+        template.innerHTML = html || '';
+        const next = Array.from(template.content.childNodes);
+        const current = Array.from(body.childNodes);
+
+        next.forEach((node, i) => {
+            const existing = current[i];
+            if (!existing) {
+                body.appendChild(node);
+            } else if (!existing.isEqualNode(node)) {
+                body.replaceChild(node, existing);
+            }
+        });
+
+        for (let i = next.length; i < current.length; i++) {
+            current[i].remove();
+        }
+    }
+
+    setWidth(width) {
+        if (!VIEWPORT_WIDTHS[width]) return;
+        this.width = width;
+        this.updateScale();
+    }
+
+    /**
+     * Lay the page out at the chosen viewport width and scale it down to fit
+     */
+    updateScale() {
+        if (!this.frame || !this.viewport) return;
+
+        const available = this.viewport.clientWidth;
+        if (!available) return;
+
+        const width = VIEWPORT_WIDTHS[this.width];
+        const scale = Math.min(1, available / width);
+
+        this.frame.style.width = width + 'px';
+        this.frame.style.height = Math.round(this.viewport.clientHeight / scale) + 'px';
+        this.frame.style.transform = scale < 1 ? 'scale(' + scale + ')' : '';
+    }
+
+    applyTheme() {
+        const doc = this.isReady ? this.frame.contentDocument : null;
+        const link = doc ? doc.getElementById('theme-stylesheet') : null;
+        if (!link) return;
+
+        if (this.themeURL) {
+            link.setAttribute('href', this.themeURL);
+        } else {
+            link.removeAttribute('href');
+        }
+    }
+
+    showThemeError(message) {
+        if (this.themeError) {
+            this.themeError.textContent = message;
+        }
+        if (this.themeInput) {
+            this.themeInput.setAttribute('aria-invalid', 'true');
+        }
+    }
+
+    clearThemeError() {
+        if (this.themeError) {
+            this.themeError.textContent = '';
+        }
+        if (this.themeInput) {
+            this.themeInput.removeAttribute('aria-invalid');
+        }
+    }
+
+    handleThemeApply() {
+        if (!this.themeInput) return;
+
+        const value = this.themeInput.value.trim();
+        let url = '';
+
+        if (value) {
+            const validation = validateURL(value);
+            if (!validation.valid || !/^https?:/i.test(validation.url)) {
+                this.showThemeError(validation.error || 'Stylesheets must use an HTTP or HTTPS URL');
+                this.themeInput.focus();
+                return;
+            }
+            url = validation.url;
+        }
+
+        this.clearThemeError();
+        this.themeURL = url;
+        this.themeInput.value = url;
+        this.applyTheme();
+        this.notifySettings();
+    }
+
+    handleThemeKeyDown(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.handleThemeApply();
+        }
+    }
+
+    handleWidthChange(e) {
+        const width = e.target && e.target.value;
+        if (!VIEWPORT_WIDTHS[width]) return;
+
+        this.setWidth(width);
+        this.notifySettings();
+    }
+
+    handleFrameLoad() {
+        this.isReady = true;
+        this.applyTheme();
+        this.updateScale();
+
+        if (this.pendingHTML !== null) {
+            const html = this.pendingHTML;
+            this.pendingHTML = null;
+            this.update(html);
+        }
+    }
+
+    handleTabClick(e) {
+        this.selectTab(e.currentTarget);
+    }
+
+    // Arrow keys move between tabs, following the WAI-ARIA tabs pattern
+    handleTabKeyDown(e) {
+        const index = this.tabs.indexOf(e.currentTarget);
+        let next = null;
+
+        if (e.key === 'ArrowRight') next = this.tabs[(index + 1) % this.tabs.length];
+        else if (e.key === 'ArrowLeft') next = this.tabs[(index - 1 + this.tabs.length) % this.tabs.length];
+        else if (e.key === 'Home') next = this.tabs[0];
+        else if (e.key === 'End') next = this.tabs[this.tabs.length - 1];
+
+        if (next) {
+            e.preventDefault();
+            this.selectTab(next, true);
+        }
+    }
+
+    notifySettings() {
+        if (typeof this.callbacks.onSettingsChange === 'function') {
+            this.callbacks.onSettingsChange({ width: this.width, themeURL: this.themeURL });
+        }
+    }
+
+    destroy() {
+        for (const tab of this.tabs) {
+            tab.removeEventListener('click', this.handleTabClick);
+            tab.removeEventListener('keydown', this.handleTabKeyDown);
+        }
+        if (this.widthSwitch) {
+            this.widthSwitch.removeEventListener('change', this.handleWidthChange);
+        }
+        if (this.themeInput) {
+            this.themeInput.removeEventListener('keydown', this.handleThemeKeyDown);
+        }
+        if (this.themeApplyBtn) {
+            this.themeApplyBtn.removeEventListener('click', this.handleThemeApply);
+        }
+        if (this.frame) {
+            this.frame.removeEventListener('load', this.handleFrameLoad);
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+
+        this.tabs = [];
+        this.panels = new Map();
+        this.frame = null;
+        this.viewport = null;
+        this.widthSwitch = null;
+        this.themeInput = null;
+        this.themeApplyBtn = null;
+        this.themeError = null;
+        this.resizeObserver = null;
+        this.isReady = false;
+        this.pendingHTML = null;
+        this.callbacks = {};
+    }
+}
@@ -0,0 +1,321 @@
+/* shortcuts.js */
+
+/**
+ * Keyboard Shortcuts Module
+ * @author Oathan Rex
+ */
+
+import { ToolbarAction } from './toolbar.js';
+
+// Same keys as the StarterKit defaults, so existing habits keep working
+export const DEFAULT_SHORTCUTS = Object.freeze({
+    [ToolbarAction.BOLD]: 'Mod-b',
+    [ToolbarAction.ITALIC]: 'Mod-i',
+    [ToolbarAction.CODE]: 'Mod-e',
+    [ToolbarAction.CODE_BLOCK]: 'Mod-Alt-c',
+    [ToolbarAction.HEADING2]: 'Mod-Alt-2',
+    [ToolbarAction.HEADING3]: 'Mod-Alt-3',
+    [ToolbarAction.PARAGRAPH]: 'Mod-Alt-0',
+    [ToolbarAction.BULLET_LIST]: 'Mod-Shift-8',
+    [ToolbarAction.ORDERED_LIST]: 'Mod-Shift-7',
+    [ToolbarAction.BLOCKQUOTE]: 'Mod-Shift-b',
+    [ToolbarAction.LINK]: 'Mod-k',
+    [ToolbarAction.IMAGE]: null,
+    [ToolbarAction.JUMP_BREAK]: 'Mod-Alt-Enter',
+    [ToolbarAction.SOURCE]: 'Mod-Shift-h'
+});
+
+// Editing, browser and app keys that cannot be rebound
+const RESERVED_SHORTCUTS = new Set([
+    'Mod-a', 'Mod-c', 'Mod-v', 'Mod-x', 'Mod-z', 'Mod-y', 'Mod-Shift-z', 'Mod-Shift-v',
+    'Mod-f', 'Mod-l', 'Mod-n', 'Mod-p', 'Mod-q', 'Mod-r', 'Mod-s', 'Mod-t', 'Mod-w',
+    'Mod-Shift-n', 'Mod-Shift-t', 'Mod-Shift-w', 'Mod-/', 'Alt-F10'
+]);
+
+const MODIFIERS = ['Mod', 'Ctrl', 'Alt', 'Shift'];
+
+const MODIFIER_KEYS = new Set(['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock', 'OS']);
+
+// Apple's modifier order and symbols
+const MAC_SYMBOLS = { Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Mod: '⌘' };
+const MAC_ORDER = ['Ctrl', 'Alt', 'Shift', 'Mod'];
+
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc'
+};
+
+export function isMacPlatform() {
+    const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '';
+    return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+/**
+ * Canonical "Mod-Alt-Shift-k" form of a shortcut, or null when it is not valid
+ */
+export function normalizeShortcut(shortcut) {
+    if (typeof shortcut !== 'string' || !shortcut) return null;
+
+    // A trailing "-" is the minus key itself
+    const parts = shortcut.split(/-(?!$)/);
+    let key = parts.pop();
+    if (!key) return null;
+
+    const modifiers = new Set();
+    for (const part of parts) {
+        if (!MODIFIERS.includes(part)) return null;
+        modifiers.add(part);
+    }
+
+    if (key.length === 1) key = key.toLowerCase();
+
+    return [...MODIFIERS.filter(name => modifiers.has(name)), key].join('-');
+}
+
+/**
+ * Read a keydown event as a canonical shortcut; Mod is Cmd on Apple platforms and Ctrl elsewhere
+ */
+export function shortcutFromEvent(event) {
+    const key = eventKey(event);
+    if (!key) return null;
+
+    const mac = isMacPlatform();
+    if (!mac && event.metaKey) return null;
+
+    const parts = [];
+    if (mac ? event.metaKey : event.ctrlKey) parts.push('Mod');
+    if (mac && event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    parts.push(key);
+
+    return parts.join('-');
+}
+
+// The character the layout produces, as ProseMirror's keymap reads it. The
+// physical key only stands in when that is not plain ASCII (other scripts,
+// Option on a Mac) or when Shift or Alt turned a digit into a symbol.
+function eventKey(event) {
+    const key = event.key;
+    if (!key || MODIFIER_KEYS.has(key)) return null;
+    if (key === ' ') return 'Space';
+
+    const code = event.code || '';
+    const ascii = key.length === 1 && key > ' ' && key <= '~';
+
+    if (ascii && /[a-z0-9]/i.test(key)) return key.toLowerCase();
+    if (ascii && !((event.shiftKey || event.altKey) && /^Digit\d$/.test(code))) return key;
+
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3).toLowerCase();
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+
+    if (key === 'Unidentified') return null;
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Whether a shortcut includes a modifier that keeps it from typing text
+ */
+export function hasCommandModifier(shortcut) {
+    const parts = typeof shortcut === 'string' ? shortcut.split(/-(?!$)/) : [];
+    return parts.includes('Mod') || parts.includes('Ctrl') || parts.includes('Alt') || /^F\d+$/.test(parts[parts.length - 1] || '');
+}
+
+/**
+ * Display form, e.g. "Ctrl+Alt+C" or "⌥⌘C"
+ */
+export function formatShortcut(shortcut, mac = isMacPlatform()) {
+    const normalized = normalizeShortcut(shortcut);
+    if (!normalized) return '';
+
+    const parts = normalized.split(/-(?!$)/);
+    const key = formatKey(parts.pop());
+
+    if (mac) {
+        return MAC_ORDER.filter(name => parts.includes(name)).map(name => MAC_SYMBOLS[name]).join('') + key;
+    }
+    return [...parts.map(name => name === 'Mod' ? 'Ctrl' : name), key].join('+');
+}
+
+function formatKey(key) {
+    if (KEY_NAMES[key]) return KEY_NAMES[key];
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Value for aria-keyshortcuts, e.g. "Control+Alt+C" or "Meta+Alt+C"
+ */
+export function toAriaKeyShortcuts(shortcut, mac = isMacPlatform()) {
+    const normalized = normalizeShortcut(shortcut);
+    if (!normalized) return '';
+
+    const names = { Mod: mac ? 'Meta' : 'Control', Ctrl: 'Control', Alt: 'Alt', Shift: 'Shift' };
+    const parts = normalized.split(/-(?!$)/);
+    const key = parts.pop();
+
+    return [...parts.map(name => names[name]), key.length === 1 ? key.toUpperCase() : key].join('+');
+}
+
+/**
+ * Shortcut Registry
+ *
+ * Holds one binding per toolbar action, starting from DEFAULT_SHORTCUTS.
+ * A key combination can belong to a single action and never to a reserved
+ * editing or browser command.
+ */
+export class ShortcutRegistry {
+    constructor(defaults = DEFAULT_SHORTCUTS) {
+        this.defaults = new Map();
+        for (const [action, shortcut] of Object.entries(defaults)) {
+            this.defaults.set(action, normalizeShortcut(shortcut));
+        }
+        this.bindings = new Map(this.defaults);
+        // Saved overrides for actions that have not been registered yet
+        this.pending = {};
+    }
+
+    /**
+     * Apply saved overrides, skipping any that are invalid or now conflict
+     */
+    load(overrides) {
+        this.bindings = new Map(this.defaults);
+        this.pending = {};
+        if (!overrides || typeof overrides !== 'object') return;
+
+        const entries = Object.entries(overrides).filter(([action]) => this.defaults.has(action));
+        for (const [action, shortcut] of Object.entries(overrides)) {
+            if (!this.defaults.has(action)) this.pending[action] = shortcut;
+        }
+
+        // Clear every overridden action first so keys moved between actions do not collide
+        for (const [action] of entries) {
+            this.bindings.set(action, null);
+        }
+
+        for (const [action, shortcut] of entries) {
+            if (shortcut === null || this.set(action, shortcut).ok) continue;
+
+            console.warn('Ignoring saved shortcut for ' + action + ':', shortcut);
+            const fallback = this.defaults.get(action);
+            if (fallback && !this.findConflict(action, fallback)) {
+                this.bindings.set(action, fallback);
+            }
+        }
+    }
+
+    /**
+     * Add an action registered after startup, applying any saved override for it
+     */
+    register(action, shortcut = null) {
+        if (typeof action !== 'string' || this.defaults.has(action)) return false;
+
+        let fallback = normalizeShortcut(shortcut);
+        if (fallback && (!hasCommandModifier(fallback) || this.findConflict(action, fallback))) {
+            console.warn('Default shortcut for ' + action + ' is unavailable:', shortcut);
+            fallback = null;
+        }
+
+        this.defaults.set(action, fallback);
+        this.bindings.set(action, fallback);
+
+        if (Object.prototype.hasOwnProperty.call(this.pending, action)) {
+            const saved = this.pending[action];
+            delete this.pending[action];
+
+            this.bindings.set(action, null);
+            if (saved !== null && !this.set(action, saved).ok) {
+                console.warn('Ignoring saved shortcut for ' + action + ':', saved);
+                this.bindings.set(action, fallback);
+            }
+        }
+        return true;
+    }
+
+    get(action) {
+        return this.bindings.get(action) || null;
+    }
+
+    findAction(shortcut) {
+        const normalized = normalizeShortcut(shortcut);
+        if (!normalized) return null;
+
+        for (const [action, bound] of this.bindings) {
+            if (bound === normalized) return action;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a shortcut is a default that no action uses any more; the
+     * editor's own binding for it should not fire either
+     */
+    isUnboundDefault(shortcut) {
+        const normalized = normalizeShortcut(shortcut);
+        if (!normalized || this.findAction(normalized)) return false;
+
+        return Array.from(this.defaults.values()).includes(normalized);
+    }
+
+    /**
+     * Another action holding the shortcut, 'reserved', or null when it is free
+     */
+    findConflict(action, shortcut) {
+        const normalized = normalizeShortcut(shortcut);
+        if (!normalized) return null;
+        if (RESERVED_SHORTCUTS.has(normalized)) return 'reserved';
+
+        const owner = this.findAction(normalized);
+        return owner && owner !== action ? owner : null;
+    }
+
+    /**
+     * Bind a shortcut to an action; null removes its shortcut
+     */
+    set(action, shortcut) {
+        if (!this.defaults.has(action)) {
+            return { ok: false, error: 'unknown' };
+        }
+
+        if (shortcut === null) {
+            this.bindings.set(action, null);
+            return { ok: true };
+        }
+
+        const normalized = normalizeShortcut(shortcut);
+        if (!normalized || !hasCommandModifier(normalized)) {
+            return { ok: false, error: 'invalid' };
+        }
+
+        const conflict = this.findConflict(action, normalized);
+        if (conflict) {
+            return { ok: false, error: 'conflict', conflict };
+        }
+
+        this.bindings.set(action, normalized);
+        return { ok: true };
+    }
+
+    reset() {
+        this.bindings = new Map(this.defaults);
+    }
+
+    entries() {
+        return Array.from(this.bindings.entries());
+    }
+
+    /**
+     * Bindings that differ from the defaults, for saving
+     */
+    getOverrides() {
+        const overrides = { ...this.pending };
+        for (const [action, shortcut] of this.bindings) {
+            if (shortcut !== this.defaults.get(action)) {
+                overrides[action] = shortcut;
+            }
+        }
+        return overrides;
+    }
+}
@@ -0,0 +1,196 @@
+/* source.js */
+
+/**
+ * HTML Source Mode Module
+ * @author Oathan Rex
+ */
+
+import { debounce, documentScope } from './utils.js';
+import { parseHTML, summarizeImportReport, findMarkupErrors } from './import.js';
+
+const CHECK_DELAY_MS = 300;
+
+/**
+ * Source Editor Controller
+ *
+ * Swaps the WYSIWYG view for a textarea holding the post's HTML. The editor
+ * is left untouched while the source is open, so its undo history carries
+ * over and applying the edited source becomes a single undo step.
+ */
+export class SourceEditorController {
+    constructor() {
+        this.container = null;
+        this.input = null;
+        this.issuesEl = null;
+        this.editorEl = null;
+        this.initialSource = '';
+        this.active = false;
+        this.checkHandler = null;
+
+        this.check = this.check.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handleIssueClick = this.handleIssueClick.bind(this);
+    }
+
+    initialize(options = {}) {
+        const scope = options.scope || documentScope;
+        this.container = scope.byId('source-editor');
+        this.input = scope.byId('source-input');
+        this.issuesEl = scope.byId('source-issues');
+        this.editorEl = options.editorElement || null;
+
+        if (!this.container || !this.input) return false;
+
+        this.checkHandler = debounce(this.check, CHECK_DELAY_MS);
+        this.input.addEventListener('input', this.handleInput);
+        if (this.issuesEl) {
+            this.issuesEl.addEventListener('click', this.handleIssueClick);
+        }
+
+        return true;
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    contains(node) {
+        return Boolean(this.container && node && this.container.contains(node));
+    }
+
+    open(html) {
+        if (!this.container || this.active) return false;
+
+        this.active = true;
+        this.initialSource = html;
+        this.input.value = html;
+
+        this.container.hidden = false;
+        if (this.editorEl) this.editorEl.hidden = true;
+
+        this.check();
+        this.input.focus();
+        this.input.setSelectionRange(0, 0);
+        this.input.scrollTop = 0;
+        return true;
+    }
+
+    /**
+     * Hide the source view, returning the parsed source or null when it was not changed
+     */
+    close() {
+        if (!this.active) return null;
+
+        this.checkHandler.cancel();
+
+        const source = this.input.value;
+        const changed = source !== this.initialSource;
+
+        this.active = false;
+        this.initialSource = '';
+        this.input.value = '';
+        this.renderIssues([]);
+
+        this.container.hidden = true;
+        if (this.editorEl) this.editorEl.hidden = false;
+
+        return changed ? parseHTML(source) : null;
+    }
+
+    /**
+     * List broken markup and anything the schema would drop or convert
+     */
+    check() {
+        if (!this.active) return;
+
+        const source = this.input.value;
+        const errors = findMarkupErrors(source);
+
+        const issues = errors.map(error => ({
+            line: error.line,
+            text: 'Line ' + error.line + ': ' + error.message
+        }));
+        for (const text of summarizeImportReport(parseHTML(source).report)) {
+            issues.push({ line: null, text });
+        }
+
+        if (errors.length) {
+            this.input.setAttribute('aria-invalid', 'true');
+        } else {
+            this.input.removeAttribute('aria-invalid');
+        }
+
+        this.renderIssues(issues);
+    }
+
+    renderIssues(issues) {
+        if (!this.issuesEl) return;
+
+        this.issuesEl.innerHTML = '';
+
+        for (const issue of issues) {
+            const item = document.createElement('li');
+            item.className = 'source-issue';
+
+            if (issue.line) {
+                // Errors link back to their line in the source
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'source-issue-btn';
+                btn.setAttribute('data-line', String(issue.line));
+                btn.textContent = issue.text;
+                item.classList.add('is-error');
+                item.appendChild(btn);
+            } else {
+                item.textContent = issue.text;
+            }
+
+            this.issuesEl.appendChild(item);
+        }
+
+        this.issuesEl.hidden = issues.length === 0;
+    }
+
+    selectLine(line) {
+        const lines = this.input.value.split('\n');
+        if (line < 1 || line > lines.length) return;
+
+        const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+        this.input.focus();
+        this.input.setSelectionRange(start, start + lines[line - 1].length);
+    }
+
+    handleInput() {
+        this.checkHandler();
+    }
+
+    handleIssueClick(e) {
+        const btn = e.target.closest('.source-issue-btn');
+        if (!btn) return;
+
+        this.selectLine(Number(btn.getAttribute('data-line')));
+    }
+
+    destroy() {
+        if (this.checkHandler) {
+            this.checkHandler.cancel();
+        }
+        if (this.input) {
+            this.input.removeEventListener('input', this.handleInput);
+        }
+        if (this.issuesEl) {
+            this.issuesEl.removeEventListener('click', this.handleIssueClick);
+        }
+        if (this.active && this.editorEl) {
+            this.editorEl.hidden = false;
+        }
+
+        this.container = null;
+        this.input = null;
+        this.issuesEl = null;
+        this.editorEl = null;
+        this.initialSource = '';
+        this.active = false;
+        this.checkHandler = null;
+    }
+}
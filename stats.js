@@ -5,39 +5,298 @@
  * @author Oathan Rex
  */
 
-import { normalizeText, containsCJK, countCJK, formatNumber } from './utils.js';
+import { normalizeText, containsCJK, countCJK, formatNumber, documentScope } from './utils.js';
 
-const WORDS_PER_MINUTE = 200;
 const WORD_SPLIT = /\s+/;
+const CJK_CHARACTERS = /[\u4e00-\u9fff\u3400-\u4dbf\u3040-\u309f\u30a0-\u30ff\uac00-\ud7af]/g;
+
+// Western words and CJK characters are read at different rates
+export const DEFAULT_READING_SPEED = Object.freeze({
+    wordsPerMinute: 200,
+    cjkCharactersPerMinute: 400
+});
+
+const READING_SPEED_RANGE = { min: 50, max: 2000 };
+
+// A run of terminators, then closing quotes or brackets, ends a sentence at a
+// space or the end of the text; CJK full stops need no space after them
+const SENTENCE_END = /[.!?\u2026]+["'\u201d\u2019)\]]*(?=\s|$)|[\u3002\uff01\uff1f]+[\u201d\u300d\u300f\uff09]*/g;
+
+// Rows of the expandable panel, in display order
+const DETAIL_STATS = [
+    { key: 'charactersWithSpaces', label: 'Characters with spaces' },
+    { key: 'sentences', label: 'Sentences' },
+    { key: 'paragraphs', label: 'Paragraphs' },
+    { key: 'headings', label: 'Headings' },
+    { key: 'listItems', label: 'List items' },
+    { key: 'links', label: 'Links' },
+    { key: 'averageSentenceWords', label: 'Avg. words per sentence', decimals: 1 },
+    { key: 'averageParagraphWords', label: 'Avg. words per paragraph', decimals: 1 },
+    { key: 'longestSentenceWords', label: 'Longest sentence (words)' }
+];
+
+const EMPTY_STATS = Object.freeze({
+    words: 0,
+    characters: 0,
+    charactersWithSpaces: 0,
+    readingTimeMinutes: 0
+});
+
+const EMPTY_DOCUMENT_STATS = Object.freeze({
+    ...EMPTY_STATS,
+    sentences: 0,
+    paragraphs: 0,
+    headings: 0,
+    listItems: 0,
+    links: 0,
+    averageSentenceWords: 0,
+    averageParagraphWords: 0,
+    longestSentenceWords: 0
+});
+
+// Countable text of plugin node types, by type
+const NODE_TEXT = new Map();
+
+/**
+ * Let a node type contribute text to the stats; getText(node) returns its text
+ */
+export function registerNodeText(type, getText) {
+    if (typeof type !== 'string' || !type || typeof getText !== 'function') return false;
+
+    NODE_TEXT.set(type, getText);
+    return true;
+}
+
+export function unregisterNodeText(type) {
+    return NODE_TEXT.delete(type);
+}
 
 /**
- * Calculate document statistics
+ * Reading speeds with anything missing or out of range set to the default
  */
-export function calculateStats(text) {
+export function resolveReadingSpeed(speed = {}) {
+    const resolved = { ...DEFAULT_READING_SPEED };
+    if (!speed || typeof speed !== 'object') return resolved;
+
+    for (const key of Object.keys(DEFAULT_READING_SPEED)) {
+        const value = Number(speed[key]);
+        if (Number.isFinite(value) && value >= READING_SPEED_RANGE.min && value <= READING_SPEED_RANGE.max) {
+            resolved[key] = Math.round(value);
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Calculate text statistics
+ */
+export function calculateStats(text, options = {}) {
     if (!text || typeof text !== 'string') {
-        return { words: 0, characters: 0, readingTimeMinutes: 0 };
+        return { ...EMPTY_STATS };
     }
 
     const normalized = normalizeText(text);
     const trimmed = normalized.trim();
 
     if (!trimmed) {
-        return { words: 0, characters: 0, readingTimeMinutes: 0 };
+        return { ...EMPTY_STATS };
     }
 
+    const speed = resolveReadingSpeed(options.readingSpeed);
     const characters = trimmed.replace(/\s/g, '').length;
+    // Paragraph and line breaks are not characters
+    const charactersWithSpaces = trimmed.replace(/[\r\n]/g, '').length;
     const words = calculateWordCount(trimmed);
-    const readingTimeMinutes = Math.ceil(words / WORDS_PER_MINUTE);
+    const cjk = countCJK(trimmed);
+    const readingTimeMinutes = Math.ceil(
+        (words - cjk) / speed.wordsPerMinute + cjk / speed.cjkCharactersPerMinute
+    );
+
+    return { words, characters, charactersWithSpaces, readingTimeMinutes };
+}
+
+/**
+ * Statistics of a Tiptap document: the text counts of calculateStats, plus
+ * its structure. Paragraphs inside list items count as list items instead;
+ * sentences are only taken from paragraphs, so headings and code
+ * do not skew their lengths.
+ */
+export function calculateDocumentStats(json, options = {}) {
+    const blocks = collectBlocks(json, options);
+    const text = blocks.map(block => block.text).filter(Boolean).join('\n\n');
+    const stats = { ...EMPTY_DOCUMENT_STATS, ...calculateStats(text, options) };
+    if (!stats.words) return stats;
+
+    let sentenceWords = 0;
+    let paragraphWords = 0;
+
+    for (const block of blocks) {
+        stats.links += block.links;
+
+        if (block.type === 'heading') {
+            stats.headings += 1;
+        } else if (block.type === 'listItem') {
+            stats.listItems += 1;
+        }
+
+        if (block.type !== 'paragraph' || !normalizeText(block.text).trim()) continue;
+
+        if (!block.inList) {
+            stats.paragraphs += 1;
+            paragraphWords += calculateWordCount(normalizeText(block.text).trim());
+        }
+
+        for (const sentence of splitSentences(block.text)) {
+            const words = calculateWordCount(sentence);
+            stats.sentences += 1;
+            sentenceWords += words;
+            stats.longestSentenceWords = Math.max(stats.longestSentenceWords, words);
+        }
+    }
+
+    stats.averageSentenceWords = average(sentenceWords, stats.sentences);
+    stats.averageParagraphWords = average(paragraphWords, stats.paragraphs);
+    return stats;
+}
+
+function average(total, count) {
+    return count ? Math.round(total / count * 10) / 10 : 0;
+}
+
+/**
+ * Split text into sentences at . ! ? \u2026 and their CJK forms
+ */
+export function splitSentences(text) {
+    return findSentences(normalizeText(text)).map(sentence => sentence.text);
+}
+
+/**
+ * Sentences of a text with their offsets, surrounding whitespace left out
+ */
+export function findSentences(text) {
+    if (typeof text !== 'string') return [];
+
+    const sentences = [];
+    const add = (from, to) => {
+        const raw = text.slice(from, to);
+        const start = from + (raw.length - raw.trimStart().length);
+        const sentence = raw.trim();
+        if (calculateWordCount(sentence) > 0) {
+            sentences.push({ text: sentence, from: start, to: start + sentence.length });
+        }
+    };
+
+    let start = 0;
+    let match;
+    SENTENCE_END.lastIndex = 0;
+    while ((match = SENTENCE_END.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        add(start, end);
+        start = end;
+    }
+    add(start, text.length);
+
+    return sentences;
+}
+
+/**
+ * Sentences of a document's paragraphs, the ones the sentence stats count
+ */
+export function getSentencesFromJSON(json, options = {}) {
+    const sentences = [];
+    for (const block of collectBlocks(json, options)) {
+        if (block.type === 'paragraph') {
+            sentences.push(...splitSentences(block.text));
+        }
+    }
+    return sentences;
+}
+
+/**
+ * Extract plain text from Tiptap JSON, optionally leaving out code
+ */
+export function getTextFromJSON(json, options = {}) {
+    return collectBlocks(json, options).map(block => block.text).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Text blocks of a document in order, each with its type, text, link count
+ * and whether it sits in a list item. List items add an entry of their own.
+ */
+function collectBlocks(json, options = {}) {
+    const { excludeCode = false } = options;
+    const blocks = [];
+
+    const visit = (node, inList) => {
+        if (node && NODE_TEXT.has(node.type)) {
+            const text = NODE_TEXT.get(node.type)(node);
+            if (typeof text === 'string') blocks.push({ type: node.type, text, links: 0, inList });
+            return;
+        }
+        if (!node || !Array.isArray(node.content)) return;
+
+        if (node.type === 'codeBlock') {
+            if (!excludeCode) {
+                blocks.push({ type: node.type, text: inlineText(node.content, false), links: 0, inList });
+            }
+            return;
+        }
+
+        const isTextblock = node.content.some(child => child && (child.type === 'text' || child.type === 'hardBreak'));
+        if (isTextblock) {
+            blocks.push({ type: node.type, text: inlineText(node.content, excludeCode), links: countLinks(node.content), inList });
+            return;
+        }
+
+        if (node.type === 'listItem') {
+            blocks.push({ type: node.type, text: '', links: 0, inList });
+        }
+        node.content.forEach(child => visit(child, inList || node.type === 'listItem'));
+    };
 
-    return { words, characters, readingTimeMinutes };
+    visit(json, false);
+    return blocks;
 }
 
-function calculateWordCount(text) {
+// Neighbouring text nodes with the same link are one link
+function countLinks(content) {
+    let count = 0;
+    let previous = null;
+
+    for (const child of content) {
+        const link = child && Array.isArray(child.marks) ? child.marks.find(mark => mark.type === 'link') : null;
+        const href = link && link.attrs ? link.attrs.href : null;
+        if (href && href !== previous) count += 1;
+        previous = href;
+    }
+    return count;
+}
+
+function inlineText(content, excludeCode) {
+    return content.map(child => {
+        if (!child) return '';
+        if (child.type === 'hardBreak') return '\n';
+        if (NODE_TEXT.has(child.type)) {
+            const text = NODE_TEXT.get(child.type)(child);
+            return typeof text === 'string' ? text : '';
+        }
+        if (child.type !== 'text' || typeof child.text !== 'string') return '';
+        if (excludeCode && Array.isArray(child.marks) && child.marks.some(m => m.type === 'code')) {
+            return ' ';
+        }
+        return child.text;
+    }).join('');
+}
+
+/**
+ * Count words, taking each CJK character as one
+ */
+export function calculateWordCount(text) {
     if (!text) return 0;
 
     if (containsCJK(text)) {
         const cjkCount = countCJK(text);
-        const westernText = text.replace(/[\u4e00-\u9fff\u3400-\u4dbf\u3040-\u309f\u30a0-\u30ff\uac00-\ud7af]/g, ' ');
+        const westernText = text.replace(CJK_CHARACTERS, ' ');
         const westernWords = westernText.split(WORD_SPLIT).filter(w => w.length > 0);
         return cjkCount + westernWords.length;
     }
@@ -56,50 +315,185 @@ export function formatReadingTime(minutes) {
 
 /**
  * Stats Display Controller
+ *
+ * Shows the main counts, with the rest of calculateDocumentStats and the
+ * reading speed settings in an expandable panel. While text is selected the
+ * main counts read "selected / total".
  */
 export class StatsDisplay {
     constructor() {
         this.wordEl = null;
         this.charEl = null;
         this.timeEl = null;
+        this.excludeCodeEl = null;
+        this.detailsEl = null;
+        this.detailEls = new Map();
+        this.speedInputs = {};
+        this.readingSpeed = { ...DEFAULT_READING_SPEED };
         this.lastStats = null;
+        this.selectionStats = null;
+        this.onOptionsChange = null;
+        this.onReadingSpeedChange = null;
+        this.handleOptionsChange = this.handleOptionsChange.bind(this);
+        this.handleSpeedChange = this.handleSpeedChange.bind(this);
     }
 
-    initialize() {
-        this.wordEl = document.getElementById('word-count');
-        this.charEl = document.getElementById('char-count');
-        this.timeEl = document.getElementById('reading-time');
+    initialize(options = {}) {
+        const scope = options.scope || documentScope;
+        this.wordEl = scope.byId('word-count');
+        this.charEl = scope.byId('char-count');
+        this.timeEl = scope.byId('reading-time');
+        this.excludeCodeEl = scope.byId('stats-exclude-code');
+        this.detailsEl = scope.byId('stats-details');
+        this.speedInputs = {
+            wordsPerMinute: scope.byId('reading-speed'),
+            cjkCharactersPerMinute: scope.byId('reading-speed-cjk')
+        };
+        this.readingSpeed = resolveReadingSpeed(options.readingSpeed);
+        this.onOptionsChange = options.onOptionsChange || null;
+        this.onReadingSpeedChange = options.onReadingSpeedChange || null;
+
+        if (this.excludeCodeEl) {
+            this.excludeCodeEl.addEventListener('change', this.handleOptionsChange);
+        }
+
+        for (const [key, input] of Object.entries(this.speedInputs)) {
+            if (!input) continue;
+            input.min = String(READING_SPEED_RANGE.min);
+            input.max = String(READING_SPEED_RANGE.max);
+            input.value = String(this.readingSpeed[key]);
+            input.addEventListener('change', this.handleSpeedChange);
+        }
+
+        this.renderDetails();
+
         return !!(this.wordEl && this.charEl && this.timeEl);
     }
 
+    renderDetails() {
+        if (!this.detailsEl) return;
+
+        this.detailsEl.innerHTML = '';
+        this.detailEls.clear();
+
+        for (const item of DETAIL_STATS) {
+            const row = document.createElement('div');
+            row.className = 'stat-item';
+
+            const label = document.createElement('span');
+            label.className = 'stat-label';
+            label.textContent = item.label;
+
+            const value = document.createElement('span');
+            value.className = 'stat-value';
+            value.textContent = '0';
+
+            row.appendChild(label);
+            row.appendChild(value);
+            this.detailsEl.appendChild(row);
+            this.detailEls.set(item.key, value);
+        }
+    }
+
+    getOptions() {
+        return {
+            excludeCode: !!(this.excludeCodeEl && this.excludeCodeEl.checked),
+            readingSpeed: { ...this.readingSpeed }
+        };
+    }
+
+    handleOptionsChange() {
+        if (typeof this.onOptionsChange === 'function') {
+            this.onOptionsChange(this.getOptions());
+        }
+    }
+
+    handleSpeedChange(e) {
+        const key = Object.keys(this.speedInputs).find(name => this.speedInputs[name] === e.target);
+        if (!key) return;
+
+        // Out-of-range values fall back to the current speed
+        const value = Number(e.target.value);
+        const valid = Number.isFinite(value) && value >= READING_SPEED_RANGE.min && value <= READING_SPEED_RANGE.max;
+        const next = valid ? Math.round(value) : this.readingSpeed[key];
+        e.target.value = String(next);
+
+        if (next === this.readingSpeed[key]) return;
+
+        this.readingSpeed = { ...this.readingSpeed, [key]: next };
+        if (typeof this.onReadingSpeedChange === 'function') {
+            this.onReadingSpeedChange({ ...this.readingSpeed });
+        }
+        this.handleOptionsChange();
+    }
+
     update(stats) {
         if (!stats) return;
 
         // Skip if unchanged
-        if (this.lastStats &&
-            this.lastStats.words === stats.words &&
-            this.lastStats.characters === stats.characters &&
-            this.lastStats.readingTimeMinutes === stats.readingTimeMinutes) {
+        if (this.lastStats && Object.keys(stats).every(key => this.lastStats[key] === stats[key])) {
             return;
         }
 
         this.lastStats = { ...stats };
+        this.renderCounts();
 
-        if (this.wordEl) {
-            this.wordEl.textContent = formatNumber(stats.words);
-        }
-        if (this.charEl) {
-            this.charEl.textContent = formatNumber(stats.characters);
-        }
-        if (this.timeEl) {
-            this.timeEl.textContent = formatReadingTime(stats.readingTimeMinutes);
+        for (const item of DETAIL_STATS) {
+            const el = this.detailEls.get(item.key);
+            if (!el) continue;
+
+            const value = stats[item.key] || 0;
+            el.textContent = item.decimals
+                ? value.toLocaleString(undefined, { minimumFractionDigits: item.decimals, maximumFractionDigits: item.decimals })
+                : formatNumber(value);
         }
     }
 
+    /**
+     * Stats of the selected text from calculateStats, or null when nothing is selected
+     */
+    updateSelection(stats) {
+        const previous = this.selectionStats;
+        if (!stats && !previous) return;
+        if (stats && previous && Object.keys(stats).every(key => previous[key] === stats[key])) return;
+
+        this.selectionStats = stats ? { ...stats } : null;
+        this.renderCounts();
+    }
+
+    renderCounts() {
+        const total = this.lastStats || EMPTY_STATS;
+        const selected = this.selectionStats;
+        const show = (el, key, format) => {
+            if (!el) return;
+            el.textContent = selected
+                ? format(selected[key]) + ' / ' + format(total[key])
+                : format(total[key]);
+        };
+
+        show(this.wordEl, 'words', formatNumber);
+        show(this.charEl, 'characters', formatNumber);
+        show(this.timeEl, 'readingTimeMinutes', formatReadingTime);
+    }
+
     destroy() {
+        if (this.excludeCodeEl) {
+            this.excludeCodeEl.removeEventListener('change', this.handleOptionsChange);
+        }
+        for (const input of Object.values(this.speedInputs)) {
+            if (input) input.removeEventListener('change', this.handleSpeedChange);
+        }
+
         this.wordEl = null;
         this.charEl = null;
         this.timeEl = null;
+        this.excludeCodeEl = null;
+        this.detailsEl = null;
+        this.detailEls.clear();
+        this.speedInputs = {};
         this.lastStats = null;
+        this.selectionStats = null;
+        this.onOptionsChange = null;
+        this.onReadingSpeedChange = null;
     }
 }
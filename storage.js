@@ -0,0 +1,284 @@
+/* storage.js */
+
+/**
+ * Draft Storage Module
+ * @author Oathan Rex
+ */
+
+import { generateId } from './utils.js';
+
+export const DRAFT_SCHEMA_VERSION = 2;
+
+const DEFAULT_KEY = 'content-editor:draft';
+const DEFAULT_NAME = 'Untitled draft';
+const PREFERENCES_KEY = 'content-editor:preferences';
+
+// Upgrade steps keyed by the version they migrate from
+const MIGRATIONS = {
+    // v1 stored a single anonymous document
+    1: (data) => {
+        const drafts = [];
+        if (data.content) {
+            drafts.push(createDraftRecord(DEFAULT_NAME, data.content, data.savedAt));
+        }
+        return {
+            version: 2,
+            activeId: drafts.length ? drafts[0].id : null,
+            drafts
+        };
+    }
+};
+
+function createDraftRecord(name, content, timestamp = Date.now()) {
+    return {
+        id: generateId('draft'),
+        name: name || DEFAULT_NAME,
+        content: content || null,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        stats: null
+    };
+}
+
+/**
+ * Bring stored draft data up to the current schema version
+ */
+export function migrateDraft(data) {
+    if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+        return null;
+    }
+
+    let current = data;
+
+    while (current.version < DRAFT_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[current.version];
+        if (typeof migrate !== 'function') {
+            console.warn('No draft migration from version ' + current.version);
+            return null;
+        }
+        current = migrate(current);
+        if (!current || typeof current.version !== 'number') {
+            return null;
+        }
+    }
+
+    if (current.version !== DRAFT_SCHEMA_VERSION) {
+        console.warn('Unsupported draft version ' + current.version);
+        return null;
+    }
+
+    return current;
+}
+
+/**
+ * Draft and preference keys of a named editor; no name keeps the default keys
+ */
+export function resolveStorageKeys(name) {
+    if (!name) return { drafts: DEFAULT_KEY, preferences: PREFERENCES_KEY };
+    return { drafts: DEFAULT_KEY + ':' + name, preferences: PREFERENCES_KEY + ':' + name };
+}
+
+/**
+ * Named draft collection backed by localStorage
+ */
+export class DraftStorage {
+    constructor(key = DEFAULT_KEY) {
+        this.key = key;
+        this.state = null;
+    }
+
+    /**
+     * Read the collection from storage, creating an empty draft if none exist
+     */
+    load() {
+        this.state = this.read() || { version: DRAFT_SCHEMA_VERSION, activeId: null, drafts: [] };
+
+        if (!Array.isArray(this.state.drafts)) {
+            this.state.drafts = [];
+        }
+
+        if (this.state.drafts.length === 0) {
+            const draft = createDraftRecord(DEFAULT_NAME, null);
+            this.state.drafts.push(draft);
+            this.state.activeId = draft.id;
+            this.write();
+        } else if (!this.get(this.state.activeId)) {
+            this.state.activeId = this.state.drafts[0].id;
+        }
+
+        return this.state;
+    }
+
+    read() {
+        let raw;
+        try {
+            raw = window.localStorage.getItem(this.key);
+        } catch (err) {
+            console.warn('Draft load failed:', err);
+            return null;
+        }
+
+        if (!raw) return null;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (err) {
+            console.warn('Stored drafts are corrupt:', err);
+            return null;
+        }
+
+        return migrateDraft(parsed);
+    }
+
+    write() {
+        if (!this.state) return false;
+
+        try {
+            window.localStorage.setItem(this.key, JSON.stringify(this.state));
+            return true;
+        } catch (err) {
+            console.warn('Draft save failed:', err);
+            return false;
+        }
+    }
+
+    list() {
+        return this.state ? this.state.drafts.slice() : [];
+    }
+
+    get(id) {
+        if (!this.state || !id) return null;
+        return this.state.drafts.find(draft => draft.id === id) || null;
+    }
+
+    getActive() {
+        return this.state ? this.get(this.state.activeId) : null;
+    }
+
+    setActive(id) {
+        if (!this.get(id)) return null;
+        this.state.activeId = id;
+        this.write();
+        return this.get(id);
+    }
+
+    /**
+     * Store content and stats for a draft, returning the save timestamp
+     */
+    save(id, content, stats = null) {
+        const draft = this.get(id);
+        if (!draft) return null;
+
+        draft.content = content;
+        draft.stats = stats ? { ...stats } : null;
+        draft.updatedAt = Date.now();
+
+        return this.write() ? draft.updatedAt : null;
+    }
+
+    create(name, content = null) {
+        if (!this.state) this.load();
+
+        const draft = createDraftRecord(name, content);
+        this.state.drafts.push(draft);
+        this.state.activeId = draft.id;
+        this.write();
+        return draft;
+    }
+
+    rename(id, name) {
+        const draft = this.get(id);
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!draft || !trimmed) return null;
+
+        draft.name = trimmed;
+        this.write();
+        return draft;
+    }
+
+    duplicate(id) {
+        const source = this.get(id);
+        if (!source) return null;
+
+        const copy = createDraftRecord(source.name + ' (copy)', source.content);
+        copy.stats = source.stats ? { ...source.stats } : null;
+
+        const index = this.state.drafts.indexOf(source);
+        this.state.drafts.splice(index + 1, 0, copy);
+        this.write();
+        return copy;
+    }
+
+    /**
+     * Delete a draft, returning the draft that is active afterwards
+     */
+    remove(id) {
+        const draft = this.get(id);
+        if (!draft) return this.getActive();
+
+        const index = this.state.drafts.indexOf(draft);
+        this.state.drafts.splice(index, 1);
+
+        if (this.state.drafts.length === 0) {
+            this.state.drafts.push(createDraftRecord(DEFAULT_NAME, null));
+        }
+
+        if (this.state.activeId === id) {
+            const next = this.state.drafts[Math.min(index, this.state.drafts.length - 1)];
+            this.state.activeId = next.id;
+        }
+
+        this.write();
+        return this.getActive();
+    }
+
+    clear(id) {
+        return this.save(id, null, null);
+    }
+}
+
+/**
+ * Small key/value store for UI preferences that outlive a session
+ */
+export class Preferences {
+    constructor(key = PREFERENCES_KEY) {
+        this.key = key;
+        this.values = null;
+    }
+
+    load() {
+        this.values = {};
+
+        try {
+            const raw = window.localStorage.getItem(this.key);
+            const parsed = raw ? JSON.parse(raw) : null;
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                this.values = parsed;
+            }
+        } catch (err) {
+            console.warn('Preferences load failed:', err);
+        }
+
+        return this.values;
+    }
+
+    get(name, fallback = null) {
+        if (!this.values) this.load();
+        return Object.prototype.hasOwnProperty.call(this.values, name) ? this.values[name] : fallback;
+    }
+
+    set(name, value) {
+        // Merge into what is stored now, so values saved elsewhere since loading survive
+        this.load();
+        this.values[name] = value;
+
+        try {
+            window.localStorage.setItem(this.key, JSON.stringify(this.values));
+            return true;
+        } catch (err) {
+            console.warn('Preferences save failed:', err);
+            return false;
+        }
+    }
+}
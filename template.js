@@ -0,0 +1,491 @@
+/* template.js */
+
+/**
+ * Editor Markup Module
+ * @author Oathan Rex
+ */
+
+export const EditorFeature = Object.freeze({
+    DRAFTS: 'drafts',
+    STATS: 'stats',
+    IMPORT: 'import',
+    EXPORT: 'export',
+    PREVIEW: 'preview',
+    SOURCE: 'source',
+    SHORTCUTS: 'shortcuts'
+});
+
+// Attributes that point at an element ID and need the instance prefix too
+const ID_REFERENCES = ['for', 'aria-controls', 'aria-labelledby', 'aria-describedby'];
+
+const SKIP_LINK = '<a href="#editor" class="skip-link">Skip to editor</a>';
+
+const ANNOUNCER = '<div id="announcer" class="sr-only" role="status" aria-live="polite" aria-atomic="true"></div>';
+
+const DRAFTS_SECTION = [
+    '<section class="sidebar-section">',
+    '    <div class="sidebar-header">',
+    '        <h2 class="sidebar-title">Drafts</h2>',
+    '        <button type="button" class="sidebar-action-btn" id="new-draft-btn">New draft</button>',
+    '    </div>',
+    '    <ul class="draft-list" id="draft-list" aria-label="Saved drafts"></ul>',
+    '</section>'
+].join('\n');
+
+const STATS_SECTION = [
+    '<section class="sidebar-section">',
+    '    <h2 class="sidebar-title">Document Stats</h2>',
+    '    <div class="stats-container">',
+    '        <div class="stat-item">',
+    '            <span class="stat-label">Words</span>',
+    '            <span class="stat-value" id="word-count">0</span>',
+    '        </div>',
+    '        <div class="stat-item">',
+    '            <span class="stat-label">Characters</span>',
+    '            <span class="stat-value" id="char-count">0</span>',
+    '        </div>',
+    '        <div class="stat-item">',
+    '            <span class="stat-label">Reading Time</span>',
+    '            <span class="stat-value" id="reading-time">0 min</span>',
+    '        </div>',
+    '    </div>',
+    '    <details class="stats-more">',
+    '        <summary class="stats-more-toggle">More stats</summary>',
+    '        <div class="stats-container" id="stats-details"></div>',
+    '        <div class="stats-speed">',
+    '            <label class="stats-speed-field">',
+    '                <span>Reading speed (words/min)</span>',
+    '                <input type="number" class="stats-speed-input" id="reading-speed" step="10">',
+    '            </label>',
+    '            <label class="stats-speed-field">',
+    '                <span>CJK reading speed (characters/min)</span>',
+    '                <input type="number" class="stats-speed-input" id="reading-speed-cjk" step="10">',
+    '            </label>',
+    '        </div>',
+    '    </details>',
+    '    <h3 class="stats-subtitle">Readability</h3>',
+    '    <div class="stats-container" id="readability-scores"></div>',
+    '    <label class="stats-option">',
+    '        <input type="checkbox" id="readability-highlight" checked>',
+    '        <span>Highlight hard sentences</span>',
+    '    </label>',
+    '    <label class="stats-option">',
+    '        <input type="checkbox" id="stats-exclude-code">',
+    '        <span>Leave code out of counts</span>',
+    '    </label>',
+    '</section>'
+].join('\n');
+
+const IMPORT_SECTION = [
+    '<section class="sidebar-section">',
+    '    <h2 class="sidebar-title">Import</h2>',
+    '    <div class="button-row">',
+    '        <button type="button" class="secondary-btn" id="import-html-btn">',
+    '            Import HTML',
+    '        </button>',
+    '        <button type="button" class="secondary-btn" id="import-markdown-btn">',
+    '            Import Markdown',
+    '        </button>',
+    '    </div>',
+    '</section>'
+].join('\n');
+
+const EXPORT_SECTION = [
+    '<section class="sidebar-section">',
+    '    <h2 class="sidebar-title">Export</h2>',
+    '    <div class="format-switch" id="export-format" role="radiogroup" aria-label="Export format">',
+    '        <label class="format-option">',
+    '            <input type="radio" name="export-format" value="html" checked>',
+    '            <span>HTML</span>',
+    '        </label>',
+    '        <label class="format-option">',
+    '            <input type="radio" name="export-format" value="markdown">',
+    '            <span>Markdown</span>',
+    '        </label>',
+    '    </div>',
+    '    <div class="export-options" id="html-options">',
+    '        <div class="export-option">',
+    '            <label for="export-profile">HTML profile</label>',
+    '            <select id="export-profile" class="toolbar-select"></select>',
+    '        </div>',
+    '        <div class="export-option">',
+    '            <label for="html-layout">Layout</label>',
+    '            <select id="html-layout" class="toolbar-select" data-format-option="mode">',
+    '                <option value="pretty">Pretty</option>',
+    '                <option value="minified">Minified</option>',
+    '            </select>',
+    '        </div>',
+    '        <div class="export-option">',
+    '            <label for="html-indent">Indent</label>',
+    '            <select id="html-indent" class="toolbar-select" data-format-option="indent">',
+    '                <option value="2">2 spaces</option>',
+    '                <option value="4">4 spaces</option>',
+    '            </select>',
+    '        </div>',
+    '        <div class="export-option">',
+    '            <label for="html-wrap">Wrap lines at</label>',
+    '            <select id="html-wrap" class="toolbar-select" data-format-option="maxLineWidth">',
+    '                <option value="0">No wrapping</option>',
+    '                <option value="80">80 columns</option>',
+    '                <option value="100">100 columns</option>',
+    '                <option value="120">120 columns</option>',
+    '            </select>',
+    '        </div>',
+    '    </div>',
+    '    <button type="button" class="export-btn" id="copy-html-btn">',
+    '        Copy Clean HTML',
+    '    </button>',
+    '    <div class="export-status" id="export-status" role="status" aria-live="polite"></div>',
+    '</section>'
+].join('\n');
+
+const PREVIEW_SECTION = [
+    '<section class="sidebar-section">',
+    '    <div class="preview-tabs" role="tablist" aria-label="Preview">',
+    '        <button',
+    '            type="button"',
+    '            class="preview-tab sidebar-title"',
+    '            role="tab"',
+    '            id="preview-title"',
+    '            data-preview-tab',
+    '            aria-selected="true"',
+    '            aria-controls="preview-panel-source"',
+    '        >HTML Preview</button>',
+    '        <button',
+    '            type="button"',
+    '            class="preview-tab sidebar-title"',
+    '            role="tab"',
+    '            id="preview-tab-rendered"',
+    '            data-preview-tab',
+    '            aria-selected="false"',
+    '            aria-controls="preview-panel-rendered"',
+    '            tabindex="-1"',
+    '        >Rendered</button>',
+    '    </div>',
+    '    <div id="preview-panel-source" role="tabpanel" aria-labelledby="preview-title">',
+    '        <div class="html-preview-wrapper">',
+    '            <pre class="html-preview" id="html-preview" tabindex="0"></pre>',
+    '        </div>',
+    '    </div>',
+    '    <div id="preview-panel-rendered" role="tabpanel" aria-labelledby="preview-tab-rendered" hidden>',
+    '        <div class="format-switch" id="rendered-width" role="radiogroup" aria-label="Preview width">',
+    '            <label class="format-option">',
+    '                <input type="radio" name="rendered-width" value="mobile">',
+    '                <span>Mobile</span>',
+    '            </label>',
+    '            <label class="format-option">',
+    '                <input type="radio" name="rendered-width" value="desktop" checked>',
+    '                <span>Desktop</span>',
+    '            </label>',
+    '        </div>',
+    '        <div class="rendered-viewport" id="rendered-viewport">',
+    '            <iframe',
+    '                id="rendered-frame"',
+    '                class="rendered-frame"',
+    '                title="Rendered post preview"',
+    '                sandbox="allow-same-origin"',
+    '            ></iframe>',
+    '        </div>',
+    '        <div class="theme-field">',
+    '            <label for="theme-url">Theme stylesheet</label>',
+    '            <div class="theme-field-row">',
+    '                <input',
+    '                    type="url"',
+    '                    id="theme-url"',
+    '                    placeholder="https://example.com/theme.css"',
+    '                    spellcheck="false"',
+    '                >',
+    '                <button type="button" class="statusbar-btn" id="theme-apply">Apply</button>',
+    '            </div>',
+    '            <span class="field-error" id="theme-error" role="alert"></span>',
+    '        </div>',
+    '    </div>',
+    '</section>'
+].join('\n');
+
+const LINK_BUBBLE = [
+    '<div class="link-bubble" id="link-bubble" role="toolbar" aria-label="Link actions" hidden>',
+    '    <span class="link-bubble-url" id="link-bubble-url"></span>',
+    '    <button type="button" class="link-bubble-btn" data-link-action="edit" aria-label="Edit link">Edit</button>',
+    '    <button type="button" class="link-bubble-btn" data-link-action="open" aria-label="Open link in new tab">Open</button>',
+    '    <button type="button" class="link-bubble-btn" data-link-action="copy" aria-label="Copy link URL">Copy URL</button>',
+    '    <button type="button" class="link-bubble-btn" data-link-action="unlink" aria-label="Remove link">Unlink</button>',
+    '</div>'
+].join('\n');
+
+const SOURCE_EDITOR = [
+    '<div class="source-editor" id="source-editor" hidden>',
+    '    <label class="sr-only" for="source-input">Post HTML source</label>',
+    '    <textarea',
+    '        id="source-input"',
+    '        class="source-input"',
+    '        spellcheck="false"',
+    '        autocomplete="off"',
+    '        autocapitalize="off"',
+    '        aria-describedby="source-issues"',
+    '    ></textarea>',
+    '    <ul class="source-issues" id="source-issues" aria-label="Problems in the HTML" aria-live="polite" hidden></ul>',
+    '</div>'
+].join('\n');
+
+const LINK_MODAL = [
+    '<div',
+    '    class="modal-overlay"',
+    '    id="link-modal"',
+    '    role="dialog"',
+    '    aria-modal="true"',
+    '    aria-labelledby="modal-title"',
+    '    aria-hidden="true"',
+    '>',
+    '    <div class="modal">',
+    '        <h3 class="modal-title" id="modal-title">Insert Link</h3>',
+    '        <div class="modal-field">',
+    '            <label for="link-url">URL</label>',
+    '            <input',
+    '                type="url"',
+    '                id="link-url"',
+    '                placeholder="https://example.com"',
+    '                autocomplete="url"',
+    '                spellcheck="false"',
+    '            >',
+    '            <span class="field-error" id="link-error" role="alert"></span>',
+    '        </div>',
+    '        <div class="modal-field">',
+    '            <label for="link-text">Link text</label>',
+    '            <input type="text" id="link-text" placeholder="Defaults to the URL">',
+    '        </div>',
+    '        <div class="modal-field">',
+    '            <label for="link-title">Title (optional)</label>',
+    '            <input type="text" id="link-title">',
+    '        </div>',
+    '        <label class="modal-check">',
+    '            <input type="checkbox" id="link-new-tab">',
+    '            <span>Open in a new tab</span>',
+    '        </label>',
+    '        <label class="modal-check">',
+    '            <input type="checkbox" id="link-send-referrer">',
+    '            <span>Send referrer <span class="modal-hint">Let the new tab see which page the visitor came from</span></span>',
+    '        </label>',
+    '        <fieldset class="modal-fieldset">',
+    '            <legend>Relationship</legend>',
+    '            <label class="modal-check">',
+    '                <input type="checkbox" name="link-rel" value="nofollow">',
+    '                <span>nofollow <span class="modal-hint">Don\'t vouch for this page</span></span>',
+    '            </label>',
+    '            <label class="modal-check">',
+    '                <input type="checkbox" name="link-rel" value="sponsored">',
+    '                <span>sponsored <span class="modal-hint">Paid or affiliate link</span></span>',
+    '            </label>',
+    '            <label class="modal-check">',
+    '                <input type="checkbox" name="link-rel" value="ugc">',
+    '                <span>ugc <span class="modal-hint">Added by a commenter or guest</span></span>',
+    '            </label>',
+    '        </fieldset>',
+    '        <div class="modal-actions">',
+    '            <button type="button" class="modal-btn modal-btn-remove" id="link-remove" hidden>Remove link</button>',
+    '            <button type="button" class="modal-btn modal-btn-cancel" id="link-cancel">Cancel</button>',
+    '            <button type="button" class="modal-btn modal-btn-confirm" id="link-confirm">Insert</button>',
+    '        </div>',
+    '    </div>',
+    '</div>'
+].join('\n');
+
+const IMAGE_MODAL = [
+    '<div',
+    '    class="modal-overlay"',
+    '    id="image-modal"',
+    '    role="dialog"',
+    '    aria-modal="true"',
+    '    aria-labelledby="image-modal-title"',
+    '    aria-hidden="true"',
+    '>',
+    '    <div class="modal">',
+    '        <h3 class="modal-title" id="image-modal-title">Insert Image</h3>',
+    '        <div class="modal-field">',
+    '            <label for="image-src">Image URL</label>',
+    '            <input',
+    '                type="url"',
+    '                id="image-src"',
+    '                placeholder="https://example.com/photo.jpg"',
+    '                autocomplete="url"',
+    '                spellcheck="false"',
+    '            >',
+    '            <span class="field-error" id="image-src-error" role="alert"></span>',
+    '        </div>',
+    '        <div class="modal-field">',
+    '            <label for="image-alt">Alt text</label>',
+    '            <input',
+    '                type="text"',
+    '                id="image-alt"',
+    '                placeholder="What the image shows"',
+    '            >',
+    '            <span class="field-error" id="image-alt-error" role="alert"></span>',
+    '        </div>',
+    '        <div class="modal-field">',
+    '            <label for="image-caption">Caption (optional)</label>',
+    '            <input type="text" id="image-caption">',
+    '        </div>',
+    '        <div class="modal-field-row">',
+    '            <div class="modal-field">',
+    '                <label for="image-width">Width</label>',
+    '                <input type="number" id="image-width" min="1" step="1" inputmode="numeric">',
+    '            </div>',
+    '            <div class="modal-field">',
+    '                <label for="image-height">Height</label>',
+    '                <input type="number" id="image-height" min="1" step="1" inputmode="numeric">',
+    '            </div>',
+    '            <div class="modal-field">',
+    '                <label for="image-align">Alignment</label>',
+    '                <select id="image-align">',
+    '                    <option value="">None</option>',
+    '                    <option value="left">Left</option>',
+    '                    <option value="center">Center</option>',
+    '                    <option value="right">Right</option>',
+    '                </select>',
+    '            </div>',
+    '        </div>',
+    '        <div class="modal-actions">',
+    '            <button type="button" class="modal-btn modal-btn-cancel" id="image-cancel">Cancel</button>',
+    '            <button type="button" class="modal-btn modal-btn-confirm" id="image-confirm">Insert</button>',
+    '        </div>',
+    '    </div>',
+    '</div>'
+].join('\n');
+
+const IMPORT_MODAL = [
+    '<div',
+    '    class="modal-overlay"',
+    '    id="import-modal"',
+    '    role="dialog"',
+    '    aria-modal="true"',
+    '    aria-labelledby="import-modal-title"',
+    '    aria-hidden="true"',
+    '>',
+    '    <div class="modal modal-wide">',
+    '        <h3 class="modal-title" id="import-modal-title">Import HTML</h3>',
+    '        <div class="modal-field">',
+    '            <label for="import-source">Paste the post\'s HTML</label>',
+    '            <textarea',
+    '                id="import-source"',
+    '                rows="10"',
+    '                spellcheck="false"',
+    '            ></textarea>',
+    '            <span class="field-error" id="import-error" role="alert"></span>',
+    '            <div class="import-report" id="import-report" role="status" hidden></div>',
+    '        </div>',
+    '        <div class="modal-actions">',
+    '            <button type="button" class="modal-btn modal-btn-cancel" id="import-cancel">Cancel</button>',
+    '            <button type="button" class="modal-btn modal-btn-confirm" id="import-confirm">Import</button>',
+    '        </div>',
+    '    </div>',
+    '</div>'
+].join('\n');
+
+const SHORTCUTS_MODAL = [
+    '<div',
+    '    class="modal-overlay"',
+    '    id="shortcuts-modal"',
+    '    role="dialog"',
+    '    aria-modal="true"',
+    '    aria-labelledby="shortcuts-modal-title"',
+    '    aria-describedby="shortcuts-hint"',
+    '    aria-hidden="true"',
+    '>',
+    '    <div class="modal modal-wide">',
+    '        <h3 class="modal-title" id="shortcuts-modal-title">Keyboard Shortcuts</h3>',
+    '        <p class="modal-hint" id="shortcuts-hint">',
+    '            Choose Change, then press the new key combination. Backspace removes a shortcut and Escape cancels.',
+    '        </p>',
+    '        <table class="shortcut-table">',
+    '            <tbody id="shortcut-list"></tbody>',
+    '        </table>',
+    '        <span class="field-error" id="shortcut-error" role="alert"></span>',
+    '        <div class="modal-actions">',
+    '            <button type="button" class="modal-btn modal-btn-remove" id="shortcut-reset">Restore defaults</button>',
+    '            <button type="button" class="modal-btn modal-btn-confirm" id="shortcut-close">Done</button>',
+    '        </div>',
+    '    </div>',
+    '</div>'
+].join('\n');
+
+/**
+ * Every feature is on unless the options turn it off
+ */
+export function resolveFeatures(features = {}) {
+    const options = features && typeof features === 'object' ? features : {};
+    const resolved = {};
+    for (const name of Object.values(EditorFeature)) {
+        resolved[name] = options[name] !== false;
+    }
+    return resolved;
+}
+
+function renderEditorSection(features) {
+    return [
+        '<div class="editor-section">',
+        '<nav class="toolbar" id="toolbar" role="toolbar" aria-label="Formatting options"></nav>',
+        '<div class="editor-wrapper">',
+        '<div id="editor" class="editor-content" role="textbox" aria-multiline="true" aria-label="Document content"></div>',
+        LINK_BUBBLE,
+        features.source ? SOURCE_EDITOR : '',
+        '</div>',
+        '<div class="editor-statusbar">',
+        '<span class="save-status" id="save-status"></span>',
+        '<span class="module-source" id="module-source" hidden></span>',
+        '<span class="content-warning" id="content-warning" role="status" hidden></span>',
+        features.drafts ? '<button type="button" class="statusbar-btn" id="discard-draft-btn" hidden>Discard restored draft</button>' : '',
+        features.shortcuts ? '<button type="button" class="statusbar-btn" id="shortcuts-btn" aria-keyshortcuts="Shift+?">Shortcuts</button>' : '',
+        '</div>',
+        '</div>'
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Fill a container with one editor instance's markup, leaving out disabled
+ * features, and give every ID the scope's prefix
+ */
+export function renderEditorMarkup(container, scope, features) {
+    const sidebar = [
+        features.drafts ? DRAFTS_SECTION : '',
+        features.stats ? STATS_SECTION : '',
+        features.import ? IMPORT_SECTION : '',
+        features.export ? EXPORT_SECTION : '',
+        features.preview ? PREVIEW_SECTION : ''
+    ].filter(Boolean);
+
+    container.innerHTML = [
+        SKIP_LINK,
+        '<div class="app-main' + (sidebar.length ? '' : ' no-sidebar') + '">',
+        renderEditorSection(features),
+        sidebar.length ? '<aside class="sidebar" aria-label="Document information">\n' + sidebar.join('\n') + '\n</aside>' : '',
+        '</div>',
+        LINK_MODAL,
+        IMAGE_MODAL,
+        features.import ? IMPORT_MODAL : '',
+        features.shortcuts ? SHORTCUTS_MODAL : '',
+        ANNOUNCER
+    ].filter(Boolean).join('\n');
+
+    prefixIds(container, scope.prefix);
+}
+
+function prefixIds(root, prefix) {
+    if (!prefix) return;
+
+    for (const el of root.querySelectorAll('[id]')) {
+        el.id = prefix + el.id;
+    }
+    for (const name of ID_REFERENCES) {
+        for (const el of root.querySelectorAll('[' + name + ']')) {
+            const ids = el.getAttribute(name).split(/\s+/).filter(Boolean);
+            el.setAttribute(name, ids.map(id => prefix + id).join(' '));
+        }
+    }
+    // Radio groups and checkbox sets are shared by name across the page
+    for (const el of root.querySelectorAll('input[name]')) {
+        el.name = prefix + el.name;
+    }
+    for (const el of root.querySelectorAll('a[href^="#"]')) {
+        el.setAttribute('href', '#' + prefix + el.getAttribute('href').slice(1));
+    }
+}
@@ -5,6 +5,8 @@
  * @author Oathan Rex
  */
 
+import { documentScope } from './utils.js';
+
 export const ToolbarAction = Object.freeze({
     HEADING2: 'heading2',
     HEADING3: 'heading3',
@@ -12,24 +14,216 @@ export const ToolbarAction = Object.freeze({
     BOLD: 'bold',
     ITALIC: 'italic',
     CODE: 'code',
+    CODE_BLOCK: 'codeBlock',
     BULLET_LIST: 'bulletList',
+    ORDERED_LIST: 'orderedList',
     BLOCKQUOTE: 'blockquote',
-    LINK: 'link'
+    LINK: 'link',
+    IMAGE: 'image',
+    JUMP_BREAK: 'jumpBreak',
+    SOURCE: 'source'
+});
+
+export const ToolbarItemType = Object.freeze({
+    BUTTON: 'button',
+    LANGUAGE: 'language'
 });
 
+export const CODE_LANGUAGES = Object.freeze([
+    ['', 'Plain text'],
+    ['html', 'HTML'],
+    ['css', 'CSS'],
+    ['javascript', 'JavaScript'],
+    ['typescript', 'TypeScript'],
+    ['json', 'JSON'],
+    ['bash', 'Bash'],
+    ['python', 'Python'],
+    ['php', 'PHP'],
+    ['java', 'Java'],
+    ['c', 'C'],
+    ['cpp', 'C++'],
+    ['csharp', 'C#'],
+    ['go', 'Go'],
+    ['ruby', 'Ruby'],
+    ['rust', 'Rust'],
+    ['sql', 'SQL'],
+    ['yaml', 'YAML'],
+    ['markdown', 'Markdown']
+]);
+
+const CUSTOM_GROUP = 'custom';
+
+/**
+ * Default toolbar layout. Groups hold items; a button item has an action,
+ * a label, an icon (trusted markup) and command/isActive functions that
+ * receive { editor, app }.
+ */
+export const DEFAULT_TOOLBAR = Object.freeze([
+    {
+        id: 'block',
+        label: 'Block formatting',
+        items: [
+            {
+                action: ToolbarAction.HEADING2,
+                label: 'Heading level 2',
+                icon: 'H2',
+                command: ({ editor }) => editor.chain().focus().toggleHeading({ level: 2 }).run(),
+                isActive: ({ editor }) => editor.isActive('heading', { level: 2 })
+            },
+            {
+                action: ToolbarAction.HEADING3,
+                label: 'Heading level 3',
+                icon: 'H3',
+                command: ({ editor }) => editor.chain().focus().toggleHeading({ level: 3 }).run(),
+                isActive: ({ editor }) => editor.isActive('heading', { level: 3 })
+            },
+            {
+                action: ToolbarAction.PARAGRAPH,
+                label: 'Paragraph',
+                icon: 'P',
+                command: ({ editor }) => editor.chain().focus().setParagraph().run(),
+                isActive: ({ editor }) => editor.isActive('paragraph')
+            }
+        ]
+    },
+    {
+        id: 'inline',
+        label: 'Inline formatting',
+        items: [
+            {
+                action: ToolbarAction.BOLD,
+                label: 'Bold',
+                icon: '<strong>B</strong>',
+                command: ({ editor }) => editor.chain().focus().toggleBold().run(),
+                isActive: ({ editor }) => editor.isActive('bold')
+            },
+            {
+                action: ToolbarAction.ITALIC,
+                label: 'Italic',
+                icon: '<em>I</em>',
+                command: ({ editor }) => editor.chain().focus().toggleItalic().run(),
+                isActive: ({ editor }) => editor.isActive('italic')
+            },
+            {
+                action: ToolbarAction.CODE,
+                label: 'Inline code',
+                icon: '&lt;/&gt;',
+                command: ({ editor }) => editor.chain().focus().toggleCode().run(),
+                isActive: ({ editor }) => editor.isActive('code')
+            }
+        ]
+    },
+    {
+        id: 'lists',
+        label: 'Lists and blocks',
+        items: [
+            {
+                action: ToolbarAction.BULLET_LIST,
+                label: 'Bullet list',
+                icon: 'List',
+                command: ({ editor }) => editor.chain().focus().toggleBulletList().run(),
+                isActive: ({ editor }) => editor.isActive('bulletList')
+            },
+            {
+                action: ToolbarAction.ORDERED_LIST,
+                label: 'Numbered list',
+                icon: '1. List',
+                command: ({ editor }) => editor.chain().focus().toggleOrderedList().run(),
+                isActive: ({ editor }) => editor.isActive('orderedList')
+            },
+            {
+                action: ToolbarAction.BLOCKQUOTE,
+                label: 'Block quote',
+                icon: 'Quote',
+                command: ({ editor }) => editor.chain().focus().toggleBlockquote().run(),
+                isActive: ({ editor }) => editor.isActive('blockquote')
+            },
+            {
+                action: ToolbarAction.LINK,
+                label: 'Insert link',
+                icon: 'Link',
+                command: ({ app }) => app.openLinkModal(),
+                isActive: ({ editor }) => editor.isActive('link')
+            },
+            {
+                action: ToolbarAction.IMAGE,
+                label: 'Insert image',
+                icon: 'Image',
+                command: ({ app }) => app.openImageModal(),
+                isActive: ({ editor }) => editor.isActive('image')
+            },
+            {
+                action: ToolbarAction.JUMP_BREAK,
+                label: 'Insert Read more break',
+                icon: 'More',
+                command: ({ app }) => app.insertJumpBreak(),
+                isActive: ({ editor }) => editor.isActive('jumpBreak')
+            }
+        ]
+    },
+    {
+        id: 'code',
+        label: 'Code',
+        items: [
+            {
+                action: ToolbarAction.CODE_BLOCK,
+                label: 'Code block',
+                icon: '{ }',
+                command: ({ editor }) => editor.chain().focus().toggleCodeBlock().run(),
+                isActive: ({ editor }) => editor.isActive('codeBlock')
+            },
+            {
+                type: ToolbarItemType.LANGUAGE,
+                label: 'Code block language'
+            }
+        ]
+    },
+    {
+        id: 'view',
+        label: 'View',
+        items: [
+            {
+                action: ToolbarAction.SOURCE,
+                label: 'Edit HTML source',
+                icon: 'HTML',
+                command: ({ app }) => app.toggleSourceMode(),
+                isActive: ({ app }) => app.isSourceMode()
+            }
+        ]
+    }
+]);
+
+function isValidButton(item) {
+    return Boolean(item) && typeof item.action === 'string' && item.action !== '' &&
+        typeof item.label === 'string' && item.label !== '' && typeof item.command === 'function';
+}
+
 /**
  * Toolbar Controller
+ *
+ * Renders the toolbar from a config of groups and buttons, and runs their
+ * commands and active checks, so buttons, handlers and pressed states all
+ * come from one place. Actions can be registered after initialization.
  */
 export class ToolbarController {
     constructor() {
         this.element = null;
+        this.scope = documentScope;
+        this.groups = [];
+        this.definitions = new Map();
         this.buttons = new Map();
+        this.languageSelect = null;
+        this.shortcutHints = {};
+        this.disabledState = { disabled: false, except: [] };
         this.onAction = null;
+        this.onLanguageChange = null;
         this.handleClick = this.handleClick.bind(this);
+        this.handleLanguageChange = this.handleLanguageChange.bind(this);
     }
 
     initialize(options = {}) {
-        this.element = document.getElementById('toolbar');
+        this.scope = options.scope || documentScope;
+        this.element = this.scope.byId('toolbar');
 
         if (!this.element) {
             console.error('Toolbar element not found');
@@ -37,19 +231,153 @@ export class ToolbarController {
         }
 
         this.onAction = options.onAction || null;
+        this.onLanguageChange = options.onLanguageChange || null;
 
-        const btns = this.element.querySelectorAll('.toolbar-btn[data-action]');
-        btns.forEach(btn => {
-            const action = btn.getAttribute('data-action');
-            if (action) {
-                this.buttons.set(action, btn);
-            }
-        });
+        this.groups = [];
+        for (const group of options.config || DEFAULT_TOOLBAR) {
+            this.addGroup(group);
+        }
 
         this.element.addEventListener('click', this.handleClick);
+        this.render();
+        return true;
+    }
+
+    addGroup(group) {
+        const entry = { id: group.id || CUSTOM_GROUP, label: group.label || '', items: [] };
+        this.groups.push(entry);
+
+        for (const item of group.items || []) {
+            this.addItem(entry, item);
+        }
+        return entry;
+    }
+
+    addItem(group, item, before = null) {
+        if (item.type === ToolbarItemType.LANGUAGE) {
+            group.items.push({ type: ToolbarItemType.LANGUAGE, label: item.label || 'Code block language' });
+            return true;
+        }
+
+        if (!isValidButton(item)) {
+            console.error('Invalid toolbar item:', item);
+            return false;
+        }
+        if (this.definitions.has(item.action)) {
+            console.error('Toolbar action already registered: ' + item.action);
+            return false;
+        }
+
+        const definition = { ...item, type: ToolbarItemType.BUTTON };
+        const index = before ? group.items.findIndex(other => other.action === before) : -1;
+
+        if (index === -1) {
+            group.items.push(definition);
+        } else {
+            group.items.splice(index, 0, definition);
+        }
+        this.definitions.set(item.action, definition);
+        return true;
+    }
+
+    /**
+     * Add a button at runtime; options.group picks the group by id (created
+     * when missing) and options.before places it ahead of another action
+     */
+    registerAction(definition, options = {}) {
+        if (!this.element) return false;
+
+        const groupId = options.group || CUSTOM_GROUP;
+        const group = this.groups.find(entry => entry.id === groupId) ||
+            this.addGroup({ id: groupId, label: options.groupLabel || 'More actions' });
+
+        if (!this.addItem(group, definition, options.before || null)) return false;
+
+        this.render();
         return true;
     }
 
+    render() {
+        const language = this.languageSelect ? this.languageSelect.value : '';
+        const languageEnabled = Boolean(this.languageSelect && !this.languageSelect.disabled);
+
+        if (this.languageSelect) {
+            this.languageSelect.removeEventListener('change', this.handleLanguageChange);
+            this.languageSelect = null;
+        }
+
+        this.element.innerHTML = '';
+        this.buttons.clear();
+
+        this.groups.filter(group => group.items.length).forEach((group, i) => {
+            if (i > 0) {
+                const divider = document.createElement('div');
+                divider.className = 'toolbar-divider';
+                divider.setAttribute('role', 'separator');
+                this.element.appendChild(divider);
+            }
+
+            const groupEl = document.createElement('div');
+            groupEl.className = 'toolbar-group';
+            groupEl.setAttribute('role', 'group');
+            if (group.label) groupEl.setAttribute('aria-label', group.label);
+
+            for (const item of group.items) {
+                groupEl.appendChild(item.type === ToolbarItemType.LANGUAGE
+                    ? this.createLanguageSelect(item)
+                    : this.createButton(item));
+            }
+
+            this.element.appendChild(groupEl);
+        });
+
+        if (this.languageSelect) {
+            this.languageSelect.addEventListener('change', this.handleLanguageChange);
+            this.updateCodeLanguage(language, languageEnabled);
+        }
+
+        this.setShortcuts(this.shortcutHints);
+        this.setDisabled(this.disabledState.disabled, this.disabledState.except);
+    }
+
+    createButton(definition) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'toolbar-btn';
+        btn.setAttribute('data-action', definition.action);
+        btn.setAttribute('aria-label', definition.label);
+        btn.setAttribute('aria-pressed', 'false');
+        btn.innerHTML = definition.icon || '';
+        if (!definition.icon) btn.textContent = definition.label;
+
+        this.buttons.set(definition.action, btn);
+        return btn;
+    }
+
+    createLanguageSelect(item) {
+        const select = document.createElement('select');
+        select.id = this.scope.id('code-language');
+        select.className = 'toolbar-select';
+        select.setAttribute('aria-label', item.label);
+        select.disabled = true;
+
+        for (const [value, label] of CODE_LANGUAGES) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+
+        this.languageSelect = select;
+        return select;
+    }
+
+    handleLanguageChange() {
+        if (typeof this.onLanguageChange === 'function') {
+            this.onLanguageChange(this.languageSelect.value || null);
+        }
+    }
+
     handleClick(e) {
         const btn = e.target.closest('.toolbar-btn[data-action]');
         if (!btn || btn.disabled) return;
@@ -60,22 +388,135 @@ export class ToolbarController {
         }
     }
 
-    updateStates(activeStates) {
-        if (!activeStates) return;
+    /**
+     * Run an action's command with { editor, app }
+     */
+    execute(action, context) {
+        const definition = this.definitions.get(action);
+        if (!definition) return false;
 
+        try {
+            definition.command(context);
+        } catch (error) {
+            console.error('Toolbar action ' + action + ' failed:', error);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Set pressed states from each action's isActive check
+     */
+    updateStates(context) {
         this.buttons.forEach((btn, action) => {
-            const isActive = activeStates[action] || false;
+            const isActive = this.isActionActive(action, context);
             btn.classList.toggle('is-active', isActive);
             btn.setAttribute('aria-pressed', String(isActive));
         });
     }
 
+    isActionActive(action, context) {
+        const definition = this.definitions.get(action);
+        if (!definition || typeof definition.isActive !== 'function') return false;
+
+        try {
+            return Boolean(definition.isActive(context));
+        } catch (error) {
+            console.warn('Toolbar state check for ' + action + ' failed:', error);
+            return false;
+        }
+    }
+
+    getActions() {
+        return Array.from(this.buttons.keys());
+    }
+
+    getDefinition(action) {
+        return this.definitions.get(action) || null;
+    }
+
+    getLabel(action) {
+        const definition = this.definitions.get(action);
+        return definition ? definition.label : action;
+    }
+
+    isEnabled(action) {
+        const btn = this.buttons.get(action);
+        return Boolean(btn && !btn.disabled);
+    }
+
+    /**
+     * Show shortcuts in tooltips and aria-keyshortcuts; takes { action: { label, aria } }
+     */
+    setShortcuts(shortcuts) {
+        this.shortcutHints = shortcuts || {};
+
+        this.buttons.forEach((btn, action) => {
+            const shortcut = this.shortcutHints[action];
+            const label = this.getLabel(action);
+
+            if (shortcut) {
+                btn.title = label + ' (' + shortcut.label + ')';
+                btn.setAttribute('aria-keyshortcuts', shortcut.aria);
+            } else {
+                btn.title = label;
+                btn.removeAttribute('aria-keyshortcuts');
+            }
+        });
+    }
+
+    /**
+     * Disable every button except the given actions; enabling leaves the language picker to updateCodeLanguage
+     */
+    setDisabled(disabled, except = []) {
+        this.disabledState = { disabled, except };
+
+        this.buttons.forEach((btn, action) => {
+            btn.disabled = disabled && !except.includes(action);
+        });
+
+        if (disabled && this.languageSelect) {
+            this.languageSelect.disabled = true;
+        }
+    }
+
+    /**
+     * Reflect the code block language; the picker is only enabled inside a code block
+     */
+    updateCodeLanguage(language, enabled) {
+        if (!this.languageSelect) return;
+
+        this.languageSelect.disabled = !enabled;
+
+        const value = enabled && language ? language : '';
+        const known = Array.from(this.languageSelect.options).some(opt => opt.value === value);
+
+        if (!known) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            this.languageSelect.appendChild(option);
+        }
+
+        this.languageSelect.value = value;
+    }
+
     destroy() {
         if (this.element) {
             this.element.removeEventListener('click', this.handleClick);
         }
+        if (this.languageSelect) {
+            this.languageSelect.removeEventListener('change', this.handleLanguageChange);
+        }
         this.element = null;
+        this.scope = documentScope;
+        this.languageSelect = null;
+        this.groups = [];
+        this.definitions.clear();
         this.buttons.clear();
+        this.shortcutHints = {};
+        this.disabledState = { disabled: false, except: [] };
         this.onAction = null;
+        this.onLanguageChange = null;
     }
 }
@@ -9,10 +9,11 @@
 const REGEX = {
     whitespace: /\s+/g,
     htmlEntities: /[&<>"']/g,
-    closingTags: /(<\/(?:p|h2|h3|ul|li|blockquote)>)/g,
+    closingTags: /(<\/(?:p|h2|h3|ul|ol|li|blockquote)>)/g,
     multiNewlines: /\n{3,}/g,
     cjk: /[\u4e00-\u9fff\u3400-\u4dbf\u3040-\u309f\u30a0-\u30ff\uac00-\ud7af]/g,
-    zeroWidth: /[\u200B-\u200D\uFEFF]/g
+    zeroWidth: /[\u200B-\u200D\uFEFF]/g,
+    markdownSpecial: /[\\`*_[\]<>&|~]/g
 };
 
 const HTML_ENTITY_MAP = {
@@ -120,6 +121,22 @@ export function escapeHTML(str) {
     return str.replace(REGEX.htmlEntities, char => HTML_ENTITY_MAP[char]);
 }
 
+/**
+ * Escape Markdown control characters in plain text
+ */
+export function escapeMarkdown(str) {
+    if (typeof str !== 'string') return '';
+    return str.replace(REGEX.markdownSpecial, '\\$&');
+}
+
+/**
+ * Remove Markdown backslash escapes
+ */
+export function unescapeMarkdown(str) {
+    if (typeof str !== 'string') return '';
+    return str.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
 /**
  * Escape HTML attribute value
  */
@@ -172,6 +189,20 @@ export function validateURL(url) {
     }
 }
 
+/**
+ * Validate image URL - like validateURL but only http(s) sources are allowed
+ */
+export function validateImageURL(url) {
+    const result = validateURL(url);
+    if (!result.valid) return result;
+
+    if (!/^https?:/i.test(result.url)) {
+        return { valid: false, url: '', error: 'Images must use an HTTP or HTTPS URL' };
+    }
+
+    return result;
+}
+
 /**
  * Normalize text (remove zero-width characters)
  */
@@ -185,6 +216,8 @@ export function normalizeText(text) {
  */
 export function containsCJK(text) {
     if (typeof text !== 'string') return false;
+    // The pattern is global, so test() would otherwise resume from the last match
+    REGEX.cjk.lastIndex = 0;
     return REGEX.cjk.test(text);
 }
 
@@ -205,6 +238,22 @@ export function formatNumber(num) {
     return num.toLocaleString();
 }
 
+/**
+ * Generate a reasonably unique identifier
+ */
+export function generateId(prefix = 'id') {
+    return prefix + '-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Format a timestamp as a short local time (e.g. 14:02)
+ */
+export function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
 /**
  * Create timeout promise
  */
@@ -218,7 +267,7 @@ export function timeout(ms, message = 'Timeout') {
  * Retry async operation with backoff
  */
 export async function retry(operation, options = {}) {
-    const { attempts = 3, delay = 1000, backoff = 1.5, onRetry = null } = options;
+    const { attempts = 3, delay = 1000, backoff = 1.5, onRetry = null, shouldRetry = null } = options;
 
     let lastError;
 
@@ -228,6 +277,9 @@ export async function retry(operation, options = {}) {
         } catch (error) {
             lastError = error;
 
+            // Failures that would only repeat end the retries early
+            if (shouldRetry && !shouldRetry(error)) break;
+
             if (attempt < attempts) {
                 const wait = delay * Math.pow(backoff, attempt - 1);
                 if (onRetry) {
@@ -259,11 +311,41 @@ export function showStatus(element, message, type = 'success', duration = 3000)
     }
 }
 
+// Characters allowed in an element scope's ID prefix
+const SCOPE_PREFIX = /^[a-z0-9_-]*$/i;
+
+/**
+ * Element lookup for one editor instance. Every ID in an instance's markup
+ * carries its prefix, so several editors can share a page.
+ */
+export function createScope(root = document, prefix = '') {
+    if (!SCOPE_PREFIX.test(prefix)) {
+        throw new Error('Invalid element ID prefix: ' + prefix);
+    }
+
+    return Object.freeze({
+        root,
+        prefix,
+        id: (name) => prefix + name,
+        byId: (name) => root.querySelector('[id="' + prefix + name + '"]')
+    });
+}
+
+// The whole page, looked up on use so modules load without a DOM
+export const documentScope = Object.freeze({
+    get root() {
+        return document;
+    },
+    prefix: '',
+    id: (name) => name,
+    byId: (name) => document.getElementById(name)
+});
+
 /**
  * Announce to screen readers
  */
-export function announce(message) {
-    const announcer = document.getElementById('announcer');
+export function announce(message, scope = documentScope) {
+    const announcer = scope.byId('announcer');
     if (announcer && message) {
         announcer.textContent = '';
         setTimeout(() => {